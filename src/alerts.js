@@ -0,0 +1,130 @@
+import { exec } from 'child_process';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+
+// Rule types:
+//   above   price >= value
+//   below   price <= value
+//   change  |period change %| >= value
+//   high52w price reaches the 52-week high (ATH for crypto)
+//   low52w  price reaches the 52-week low (ATL for crypto)
+// `symbol` may be "*" to apply the rule to every asset.
+const RULE_CHECKS = {
+  above: (rule, asset) => asset.price >= rule.value
+    && `${asset.symbol} above ${rule.value} (${asset.price})`,
+  below: (rule, asset) => asset.price <= rule.value
+    && `${asset.symbol} below ${rule.value} (${asset.price})`,
+  change: (rule, asset) => Math.abs(asset.change) >= Math.abs(rule.value)
+    && `${asset.symbol} moved ${asset.change.toFixed(2)}% this period`,
+  high52w: (rule, asset) => asset.high52w > 0 && asset.price >= asset.high52w
+    && `${asset.symbol} at a new 52w high (${asset.price})`,
+  low52w: (rule, asset) => asset.low52w > 0 && asset.price <= asset.low52w
+    && `${asset.symbol} at a new 52w low (${asset.price})`
+};
+
+export function ruleKey(rule, symbol) {
+  return `${symbol}:${rule.type}:${rule.value ?? ''}`;
+}
+
+export function evaluateRule(rule, asset) {
+  const check = RULE_CHECKS[rule.type];
+  if (!check || !asset || asset.error || !asset.price) return null;
+  if (rule.symbol !== '*' && rule.symbol !== asset.symbol) return null;
+  return check(rule, asset) || null;
+}
+
+// Shell command hook: the alert is passed through environment variables so
+// the command (notify-send, osascript, curl to a webhook...) needs no quoting.
+// The command finishes after the sink has returned, so its failure goes to `onError`.
+export function commandSink(command, onError = message => console.error(message)) {
+  return (alert) => {
+    exec(command, {
+      env: {
+        ...process.env,
+        STONKS_ALERT_SYMBOL: alert.symbol,
+        STONKS_ALERT_TYPE: alert.type,
+        STONKS_ALERT_MESSAGE: alert.message,
+        STONKS_ALERT_PRICE: String(alert.price)
+      },
+      timeout: 10000
+    }, (error) => {
+      if (error) onError(`[Alerts] Command failed: ${error.message}`);
+    });
+  };
+}
+
+// Failures (state file, sinks) go to `onError`, which the dashboard points at
+// its status banner so nothing is written over the screen
+export class AlertEngine {
+  constructor({ rules = [], statePath = null, onError = message => console.error(message) } = {}) {
+    this.rules = rules.filter(rule => RULE_CHECKS[rule?.type]);
+    this.statePath = statePath;
+    this.onError = onError;
+    this.sinks = new Map();
+    this.triggered = new Set();
+    this.loadState();
+  }
+
+  addSink(name, handler) {
+    this.sinks.set(name, handler);
+    return this;
+  }
+
+  loadState() {
+    if (!this.statePath) return;
+    try {
+      if (existsSync(this.statePath)) {
+        this.triggered = new Set(JSON.parse(readFileSync(this.statePath, 'utf-8')));
+      }
+    } catch (error) {
+      this.onError(`[Alerts] Error loading state file: ${error.message}`);
+    }
+  }
+
+  saveState() {
+    if (!this.statePath) return;
+    try {
+      // The cache directory may not exist yet on a first run
+      mkdirSync(path.dirname(this.statePath), { recursive: true });
+      writeFileSync(this.statePath, JSON.stringify([...this.triggered], null, 2));
+    } catch (error) {
+      this.onError(`[Alerts] Error saving state file: ${error.message}`);
+    }
+  }
+
+  // Run every rule against the latest assets. A rule fires once when its
+  // condition becomes true and re-arms only after the condition clears.
+  evaluate(assets) {
+    const fired = [];
+    let changed = false;
+
+    for (const rule of this.rules) {
+      for (const asset of assets) {
+        if (rule.symbol !== '*' && rule.symbol !== asset.symbol) continue;
+        if (asset.error) continue;
+
+        const key = ruleKey(rule, asset.symbol);
+        const message = evaluateRule(rule, asset);
+        if (message && !this.triggered.has(key)) {
+          this.triggered.add(key);
+          fired.push({ key, symbol: asset.symbol, type: rule.type, price: asset.price, message });
+          changed = true;
+        } else if (!message && this.triggered.delete(key)) {
+          changed = true;
+        }
+      }
+    }
+
+    if (changed) this.saveState();
+    for (const alert of fired) {
+      for (const [name, sink] of this.sinks) {
+        try {
+          sink(alert);
+        } catch (error) {
+          this.onError(`[Alerts] Sink ${name} failed: ${error.message}`);
+        }
+      }
+    }
+    return fired;
+  }
+}
@@ -0,0 +1,40 @@
+import { spawn } from 'child_process';
+
+// Links come from news feeds, so only http(s) addresses are handed on: no
+// file:// paths or app bundles, nothing with spaces or control characters
+export function isWebUrl(url) {
+  if (typeof url !== 'string' || !/^https?:\/\//i.test(url) || /[\s\x00-\x1f\x7f]/.test(url)) return false;
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Command that hands a URL to the desktop's browser, or null for anything
+// but a web address and where there is no browser to hand it to (a Linux
+// console or an SSH session without a display). Windows goes through
+// url.dll rather than `cmd /c start`, so cmd never parses the URL.
+export function browserCommand(url, { platform = process.platform, env = process.env } = {}) {
+  if (!isWebUrl(url)) return null;
+  if (platform === 'darwin') return ['open', [url]];
+  if (platform === 'win32') return ['rundll32', ['url.dll,FileProtocolHandler', url]];
+  if (!env.DISPLAY && !env.WAYLAND_DISPLAY) return null;
+  return ['xdg-open', [url]];
+}
+
+// Resolves true once the browser command has started, false when there is
+// no browser to open; the command runs on detached from the dashboard and
+// never through a shell
+export function openUrl(url, options) {
+  const command = browserCommand(url, options);
+  if (!command) return Promise.resolve(false);
+  return new Promise((resolve) => {
+    const child = spawn(command[0], command[1], { detached: true, stdio: 'ignore' });
+    child.on('error', () => resolve(false));
+    child.on('spawn', () => {
+      child.unref();
+      resolve(true);
+    });
+  });
+}
@@ -0,0 +1,96 @@
+// Text-mode candlestick and volume rendering for blessed boxes (tags enabled).
+
+const VOLUME_BLOCKS = [' ', '▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+
+// Group an OHLCV series into at most `count` candles of consecutive points
+export function buildCandles(ohlcv, count) {
+  const close = ohlcv?.close || [];
+  const len = close.length;
+  if (len === 0 || count <= 0) return [];
+
+  const size = Math.max(1, Math.ceil(len / count));
+  const candles = [];
+  for (let start = 0; start < len; start += size) {
+    const end = Math.min(len, start + size);
+    let high = -Infinity;
+    let low = Infinity;
+    let volume = 0;
+    for (let i = start; i < end; i++) {
+      high = Math.max(high, ohlcv.high?.[i] ?? close[i], close[i]);
+      low = Math.min(low, ohlcv.low?.[i] ?? close[i], close[i]);
+      volume += ohlcv.volume?.[i] || 0;
+    }
+    candles.push({
+      open: ohlcv.open?.[start] ?? close[start],
+      close: close[end - 1],
+      high,
+      low,
+      volume
+    });
+  }
+  return candles;
+}
+
+// Up, down and no-data colors, overridden by the theme
+const DEFAULT_COLORS = { up: 'green', down: 'red', muted: 'gray' };
+
+// Draw candles into `height` rows; `labelWidth` columns on the left hold the price axis
+export function renderCandles(candles, width, height, formatLabel = String, labelWidth = 10, colors = DEFAULT_COLORS) {
+  if (candles.length === 0 || width <= labelWidth || height <= 0) return '';
+
+  const max = Math.max(...candles.map(c => c.high));
+  const min = Math.min(...candles.map(c => c.low));
+  const span = max - min || 1;
+  const toRow = (price) => Math.round(((max - price) / span) * (height - 1));
+
+  const grid = Array.from({ length: height }, () => []);
+  const maxCandles = Math.floor((width - labelWidth) / 2);
+  const visible = candles.slice(-maxCandles);
+
+  for (const candle of visible) {
+    const color = candle.close >= candle.open ? colors.up : colors.down;
+    const bodyTop = toRow(Math.max(candle.open, candle.close));
+    const bodyBottom = toRow(Math.min(candle.open, candle.close));
+    const wickTop = toRow(candle.high);
+    const wickBottom = toRow(candle.low);
+
+    for (let row = 0; row < height; row++) {
+      let ch = ' ';
+      if (row >= bodyTop && row <= bodyBottom) {
+        ch = candle.open === candle.close ? '─' : '█';
+      } else if (row >= wickTop && row <= wickBottom) {
+        ch = '│';
+      }
+      grid[row].push(ch === ' ' ? '  ' : `{${color}-fg}${ch}{/${color}-fg} `);
+    }
+  }
+
+  const labels = { 0: max, [Math.floor((height - 1) / 2)]: max - span / 2, [height - 1]: min };
+  return grid.map((cells, row) => {
+    const label = row in labels ? formatLabel(labels[row]) : '';
+    return `${label.slice(0, labelWidth - 1).padStart(labelWidth - 1)} ${cells.join('')}`;
+  }).join('\n');
+}
+
+// Volume histogram aligned with renderCandles output, using eighth blocks
+export function renderVolume(candles, width, height, formatLabel = String, labelWidth = 10, colors = DEFAULT_COLORS) {
+  if (candles.length === 0 || width <= labelWidth || height <= 0) return '';
+
+  const maxCandles = Math.floor((width - labelWidth) / 2);
+  const visible = candles.slice(-maxCandles);
+  const maxVolume = Math.max(...visible.map(c => c.volume));
+  if (!maxVolume) return `${''.padStart(labelWidth - 1)} {${colors.muted}-fg}no volume data{/${colors.muted}-fg}`;
+
+  const rows = [];
+  for (let row = height - 1; row >= 0; row--) {
+    const cells = visible.map(candle => {
+      const eighths = Math.round((candle.volume / maxVolume) * height * 8) - row * 8;
+      const ch = VOLUME_BLOCKS[Math.max(0, Math.min(8, eighths))];
+      const color = candle.close >= candle.open ? colors.up : colors.down;
+      return ch === ' ' ? '  ' : `{${color}-fg}${ch}{/${color}-fg} `;
+    });
+    const label = row === height - 1 ? formatLabel(maxVolume).slice(0, labelWidth - 1) : '';
+    rows.push(`${label.padStart(labelWidth - 1)} ${cells.join('')}`);
+  }
+  return rows.join('\n');
+}
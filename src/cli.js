@@ -0,0 +1,516 @@
+import { existsSync, readFileSync } from 'fs';
+import { parseArgs } from 'util';
+import { addWatchlistTicker, findWatchlist, getWatchlists, loadConfig, saveConfig, USER_CONFIG_PATH } from './config.js';
+import { BROKER_PRESETS, parseTransactions, resolveMapping } from './csvImport.js';
+import { createDataService } from './dataService.js';
+import { deriveHoldings, Ledger, ledgerPath } from './ledger.js';
+import { DEFAULT_PERIOD_LABEL, findPeriod, parsePeriods } from './periods.js';
+import { expandPath } from './paths.js';
+import { ApiServer, DEFAULT_HOST, DEFAULT_PORT } from './server.js';
+import { listThemes } from './theme.js';
+
+// Exit codes: 0 everything fetched, 1 usage error, 2 at least one fetch failed
+export const EXIT_OK = 0;
+export const EXIT_USAGE = 1;
+export const EXIT_FETCH_FAILED = 2;
+
+const COMMANDS = ['quote', 'search', 'news', 'serve', 'import', 'help'];
+const FORMATS = ['table', 'json', 'csv'];
+
+const QUOTE_FIELDS = [
+  'symbol', 'type', 'currency', 'price', 'change', 'change24h', 'open', 'high', 'low',
+  'high52w', 'low52w', 'volume', 'marketCap', 'timestamp', 'fromCache', 'error'
+];
+
+const SEARCH_FIELDS = ['symbol', 'name', 'exchange', 'type', 'currency', 'provider', 'cryptoId'];
+
+const USAGE = `Usage:
+  stonks-dashboard                       Start the dashboard
+  stonks-dashboard quote <SYMBOL...>     Print quotes and exit
+  stonks-dashboard search <QUERY>        Find tickers and coins by name or symbol
+  stonks-dashboard news <SYMBOL>         Print headlines with their links and upcoming dates
+  stonks-dashboard serve                 Run the local API without the dashboard
+  stonks-dashboard import <FILE.csv>     Add broker transactions to the ledger
+
+Options:
+  --offline                      Serve only cached data, never touch the network
+  -l, --list <NAME>              Watchlist to start with (dashboard), to quote, to stream
+                                 or to add a search result to
+  --serve                        Run the local API next to the dashboard
+  --port <PORT>                  API port (default ${DEFAULT_PORT})
+  --host <HOST>                  API address (default ${DEFAULT_HOST})
+  --theme <NAME|FILE>            Dashboard colors: ${listThemes().join(', ')} or a theme
+                                 .json file (default from config theme, else cyberpunk)
+
+Options for quote:
+  -p, --period <LABEL|DAYS>      Period used for the change column, a label from
+                                 config periods (1D, 7D, YTD, ...) or a day count (default 7D)
+  -f, --format <table|json|csv>  Output format (default table)
+  -w, --watchlist                Quote every ticker of the first watchlist
+
+Options for search:
+  -f, --format <table|json|csv>  Output format (default table)
+  --add <N>                      Add result N to the watchlist given with --list
+                                 (default the first), with its CoinGecko id for coins
+
+Options for news:
+  -f, --format <table|json>      Output format (default table)
+
+Options for import:
+  --preset <NAME>                Column mapping: ${Object.keys(BROKER_PRESETS).join(', ')}
+                                 (default from config ledger.preset, else generic)
+  --dry-run                      Show the result without writing the ledger
+
+The API serves GET /quotes[?list=NAME|symbols=A,B][&period=P],
+GET /history/<SYMBOL>[?period=P] and a WebSocket stream of refreshes at /stream.
+
+Symbols listed in config.json cryptoIds are fetched as crypto;
+use crypto:<SYMBOL> to look up any other coin on CoinGecko.
+
+Exit codes: 0 ok, 1 usage error, 2 one or more fetches or imported rows failed`;
+
+export function isCliCommand(args) {
+  return COMMANDS.includes(args[0]) || args.includes('--help') || args.includes('-h');
+}
+
+function formatTable(rows) {
+  const headers = ['SYMBOL', 'PRICE', 'CHANGE', '24H', 'CCY', 'STATUS'];
+  const lines = rows.map(asset => [
+    asset.symbol,
+    asset.price.toFixed(asset.price >= 1 ? 2 : 4),
+    `${asset.change >= 0 ? '+' : ''}${asset.change.toFixed(2)}%`,
+    `${asset.change24h >= 0 ? '+' : ''}${asset.change24h.toFixed(2)}%`,
+    asset.currency || '',
+    asset.error ? 'ERROR' : (asset.fromCache ? 'CACHE' : 'LIVE')
+  ]);
+
+  const widths = headers.map((h, i) => Math.max(h.length, ...lines.map(l => l[i].length)));
+  return [headers, ...lines]
+    .map(cols => cols.map((c, i) => (i === 0 || i >= 4 ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join('  ').trimEnd())
+    .join('\n');
+}
+
+function csvValue(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(rows) {
+  return [
+    QUOTE_FIELDS.join(','),
+    ...rows.map(row => QUOTE_FIELDS.map(field => csvValue(row[field])).join(','))
+  ].join('\n');
+}
+
+export function formatQuotes(assets, format) {
+  const rows = assets.map(asset => {
+    const row = {};
+    for (const field of QUOTE_FIELDS) row[field] = asset[field];
+    row.fromCache = Boolean(asset.fromCache);
+    row.error = Boolean(asset.error);
+    row.change = row.change || 0;
+    row.change24h = row.change24h || 0;
+    return row;
+  });
+
+  if (format === 'json') return JSON.stringify(rows, null, 2);
+  if (format === 'csv') return formatCsv(rows);
+  return formatTable(rows);
+}
+
+async function runQuote(values, positionals, config) {
+  const period = findPeriod(values.period || DEFAULT_PERIOD_LABEL, parsePeriods(config.periods));
+  if (!period) {
+    console.error(`Unknown period "${values.period}"`);
+    return EXIT_USAGE;
+  }
+  const format = (values.format || 'table').toLowerCase();
+  if (!FORMATS.includes(format)) {
+    console.error(`Unknown format "${values.format}", expected ${FORMATS.join(', ')}`);
+    return EXIT_USAGE;
+  }
+
+  let list = null;
+  if (values.list) {
+    list = findWatchlist(config, values.list);
+    if (!list) {
+      console.error(`Unknown watchlist "${values.list}", expected ${getWatchlists(config).map(l => l.name).join(', ')}`);
+      return EXIT_USAGE;
+    }
+  } else if (values.watchlist) {
+    list = getWatchlists(config)[0];
+  }
+
+  const requested = list ? [...list.tickers, ...positionals] : positionals;
+  if (requested.length === 0) {
+    console.error('No symbols given\n');
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  const dataService = createDataService(config, { offline: values.offline });
+  const cryptoIds = { ...config.cryptoIds };
+  const tickers = [];
+  let failed = false;
+
+  for (const input of requested) {
+    if (/^crypto:/i.test(input)) {
+      try {
+        const { symbol, cryptoId } = await dataService.lookupTicker(input);
+        cryptoIds[symbol] = cryptoId;
+        tickers.push(symbol);
+      } catch (error) {
+        console.error(`${input}: ${error.message}`);
+        failed = true;
+      }
+    } else {
+      tickers.push(input.toUpperCase());
+    }
+  }
+
+  const assets = await dataService.fetchAllAssets(tickers, cryptoIds, period);
+  if (assets.length > 0) {
+    console.log(formatQuotes(assets, format));
+  }
+
+  return failed || assets.some(asset => asset.error) ? EXIT_FETCH_FAILED : EXIT_OK;
+}
+
+function formatSearchTable(results) {
+  const headers = ['#', 'SYMBOL', 'NAME', 'EXCHANGE', 'TYPE', 'CCY'];
+  const lines = results.map((result, i) => [
+    String(i + 1),
+    result.cryptoId ? `${result.symbol} (${result.cryptoId})` : result.symbol,
+    (result.name || '').slice(0, 32),
+    result.exchange || '',
+    result.type || '',
+    result.currency || ''
+  ]);
+
+  const widths = headers.map((h, i) => Math.max(h.length, ...lines.map(l => l[i].length)));
+  return [headers, ...lines]
+    .map(cols => cols.map((c, i) => (i === 0 ? c.padStart(widths[i]) : c.padEnd(widths[i]))).join('  ').trimEnd())
+    .join('\n');
+}
+
+// Look a name or ticker up on every source; --add N puts a result on a watchlist
+async function runSearch(values, positionals, config) {
+  const query = positionals.join(' ').trim();
+  if (!query) {
+    console.error('No search term given\n');
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+  const format = (values.format || 'table').toLowerCase();
+  if (!FORMATS.includes(format)) {
+    console.error(`Unknown format "${values.format}", expected ${FORMATS.join(', ')}`);
+    return EXIT_USAGE;
+  }
+
+  const dataService = createDataService(config, { offline: values.offline });
+  const { results, errors } = await dataService.searchAssets(query);
+  for (const error of errors) console.error(`[Search] ${error}`);
+
+  if (values.add !== undefined) {
+    const index = Number(values.add);
+    if (!Number.isInteger(index) || index < 1 || index > results.length) {
+      console.error(`No result ${values.add}; ${results.length} found for "${query}"`);
+      return EXIT_USAGE;
+    }
+    const result = results[index - 1];
+    const list = values.list || getWatchlists(config)[0].name;
+    try {
+      const name = addWatchlistTicker(config, list, result);
+      saveConfig(USER_CONFIG_PATH, config);
+      console.log(`Added ${result.symbol}${result.cryptoId ? ` (${result.cryptoId})` : ''} to ${name}`);
+      return EXIT_OK;
+    } catch (error) {
+      console.error(error.message);
+      return EXIT_USAGE;
+    }
+  }
+
+  if (format === 'json') {
+    console.log(JSON.stringify(results, null, 2));
+  } else if (format === 'csv') {
+    console.log([
+      SEARCH_FIELDS.join(','),
+      ...results.map(result => SEARCH_FIELDS.map(field => csvValue(result[field])).join(','))
+    ].join('\n'));
+  } else if (results.length === 0) {
+    console.error(`No matches for "${query}"`);
+  } else {
+    console.log(formatSearchTable(results));
+    console.error(`Add one with: stonks-dashboard search ${JSON.stringify(query)} --add <#> [--list <NAME>]`);
+  }
+  return errors.length > 0 ? EXIT_FETCH_FAILED : EXIT_OK;
+}
+
+function formatDate(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+// Events, then one headline per line with its link underneath
+function formatNewsTable(news) {
+  const lines = news.events.map(event => `${formatDate(event.time)}  ${event.label}`);
+  if (lines.length > 0) lines.push('');
+  for (const item of news.items) {
+    const meta = [item.time && formatDate(item.time), item.publisher].filter(Boolean).join('  ');
+    lines.push(`${meta ? `${meta}  ` : ''}${item.title}`);
+    if (item.url) lines.push(`  ${item.url}`);
+  }
+  return lines.join('\n');
+}
+
+async function runNews(values, positionals, config) {
+  if (positionals.length !== 1) {
+    console.error('Give exactly one symbol\n');
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+  const format = (values.format || 'table').toLowerCase();
+  if (!['table', 'json'].includes(format)) {
+    console.error(`Unknown format "${values.format}", expected table, json`);
+    return EXIT_USAGE;
+  }
+
+  const dataService = createDataService(config, { offline: values.offline });
+  const cryptoIds = { ...config.cryptoIds };
+  let symbol = positionals[0].toUpperCase();
+  if (/^crypto:/i.test(positionals[0])) {
+    const found = await dataService.lookupTicker(positionals[0]);
+    symbol = found.symbol;
+    cryptoIds[symbol] = found.cryptoId;
+  }
+
+  const news = await dataService.fetchNews(symbol, cryptoIds);
+  if (!news) {
+    console.error(`No news source for ${symbol}`);
+    return EXIT_USAGE;
+  }
+  if (news.error) console.error(`[News] ${news.error}`);
+
+  if (format === 'json') {
+    const { items, events, timestamp, fromCache } = news;
+    console.log(JSON.stringify({ symbol, items, events, timestamp, fromCache }, null, 2));
+  } else if (news.items.length === 0 && news.events.length === 0) {
+    console.error(`No news for ${symbol}`);
+  } else {
+    console.log(formatNewsTable(news));
+  }
+  return news.error ? EXIT_FETCH_FAILED : EXIT_OK;
+}
+
+function formatHoldingsTable(holdings, realized) {
+  const symbols = [...new Set([...Object.keys(holdings), ...Object.keys(realized)])].sort();
+  const headers = ['SYMBOL', 'QTY', 'AVG COST', 'REALIZED', 'DIVIDENDS', 'CCY'];
+  const lines = symbols.map(symbol => {
+    const lots = holdings[symbol]?.lots || [];
+    const quantity = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    const cost = lots.reduce((sum, lot) => sum + lot.quantity * lot.price, 0);
+    const entry = realized[symbol] || { realized: 0, dividends: 0 };
+    return [
+      symbol,
+      String(Number(quantity.toFixed(6))),
+      quantity > 0 ? (cost / quantity).toFixed(2) : '-',
+      `${entry.realized >= 0 ? '+' : ''}${entry.realized.toFixed(2)}`,
+      entry.dividends.toFixed(2),
+      entry.currency || ''
+    ];
+  });
+
+  const widths = headers.map((h, i) => Math.max(h.length, ...lines.map(l => l[i].length)));
+  return [headers, ...lines]
+    .map(cols => cols.map((c, i) => (i === 0 || i === 5 ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join('  ').trimEnd())
+    .join('\n');
+}
+
+// Parse a broker export, add it to the ledger and print the derived holdings
+async function runImport(values, positionals, config) {
+  const [file] = positionals;
+  if (!file || positionals.length > 1) {
+    console.error('Expected one CSV file\n');
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  let mapping;
+  try {
+    mapping = resolveMapping(config.ledger, values.preset);
+  } catch (error) {
+    console.error(error.message);
+    return EXIT_USAGE;
+  }
+
+  const csvPath = expandPath(file);
+  if (!existsSync(csvPath)) {
+    console.error(`No such file: ${file}\n`);
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  const { transactions, skipped, errors } = parseTransactions(readFileSync(csvPath, 'utf-8'), mapping);
+  for (const error of errors) console.error(`[Import] ${error}`);
+
+  const ledger = new Ledger(ledgerPath(config));
+  const { added, duplicates } = ledger.add(transactions);
+  const { holdings, realized, warnings } = deriveHoldings(ledger.transactions);
+  for (const warning of warnings) console.error(`[Ledger] ${warning}`);
+  if (!values['dry-run']) ledger.save();
+
+  console.log(`${values['dry-run'] ? 'Would import' : 'Imported'} ${added} transactions from ${file} (${mapping.name}); `
+    + `${duplicates} already in the ledger, ${skipped} rows of other types skipped, ${errors.length} unreadable`);
+  console.log(formatHoldingsTable(holdings, realized));
+
+  const listed = new Set(getWatchlists(config).flatMap(list => list.tickers));
+  const unlisted = Object.keys(holdings).filter(symbol => !listed.has(symbol));
+  if (unlisted.length > 0) {
+    console.log(`Not in any watchlist (add them to see them in the portfolio panel): ${unlisted.join(', ')}`);
+  }
+  if (!values['dry-run']) console.log(`Ledger: ${ledger.file}`);
+
+  return errors.length > 0 ? EXIT_FETCH_FAILED : EXIT_OK;
+}
+
+// Port from --port, or null after reporting a bad one
+function parsePort(value) {
+  if (value === undefined) return DEFAULT_PORT;
+  const port = Number(value);
+  if (Number.isInteger(port) && port > 0 && port < 65536) return port;
+  console.error(`Invalid port "${value}"`);
+  return null;
+}
+
+// Headless API: refresh the watchlist every updateInterval and push each
+// refresh to stream clients until interrupted
+async function runServe(values, config) {
+  const port = parsePort(values.port);
+  if (port === null) return EXIT_USAGE;
+  const period = findPeriod(values.period || DEFAULT_PERIOD_LABEL, parsePeriods(config.periods));
+  if (!period) {
+    console.error(`Unknown period "${values.period}"`);
+    return EXIT_USAGE;
+  }
+  const list = values.list ? findWatchlist(config, values.list) : getWatchlists(config)[0];
+  if (!list) {
+    console.error(`Unknown watchlist "${values.list}", expected ${getWatchlists(config).map(l => l.name).join(', ')}`);
+    return EXIT_USAGE;
+  }
+
+  const dataService = createDataService(config, { offline: values.offline });
+  const server = new ApiServer({ dataService, config, port, host: values.host || DEFAULT_HOST });
+  try {
+    const address = await server.listen();
+    console.error(`[Server] Listening on http://${address.address}:${address.port}`);
+  } catch (error) {
+    console.error(`[Server] ${error.message}`);
+    return EXIT_FETCH_FAILED;
+  }
+
+  const refresh = async () => {
+    const assets = await dataService.fetchAllAssets(list.tickers, config.cryptoIds, period);
+    server.publish(list.name, period, assets);
+  };
+  await refresh();
+  const timer = setInterval(refresh, config.updateInterval || 120000);
+
+  return new Promise(resolve => {
+    process.once('SIGINT', async () => {
+      clearInterval(timer);
+      await server.close();
+      resolve(EXIT_OK);
+    });
+  });
+}
+
+// Options for the interactive dashboard, or null after reporting bad arguments
+export function parseDashboardArgs(args) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args,
+      options: {
+        offline: { type: 'boolean' },
+        list: { type: 'string', short: 'l' },
+        serve: { type: 'boolean' },
+        port: { type: 'string' },
+        host: { type: 'string' },
+        theme: { type: 'string' }
+      }
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n`);
+    console.error(USAGE);
+    return null;
+  }
+
+  if (values.theme && !listThemes().includes(values.theme) && !existsSync(expandPath(values.theme))) {
+    console.error(`Unknown theme "${values.theme}", expected ${listThemes().join(', ')} or a .json file`);
+    return null;
+  }
+
+  if (values.list) {
+    const config = loadConfig();
+    const list = findWatchlist(config, values.list);
+    if (!list) {
+      console.error(`Unknown watchlist "${values.list}", expected ${getWatchlists(config).map(l => l.name).join(', ')}`);
+      return null;
+    }
+    values.list = list.name;
+  }
+
+  const port = parsePort(values.port);
+  if (port === null) return null;
+  const serve = values.serve ? { port, host: values.host || DEFAULT_HOST } : null;
+  return { offline: Boolean(values.offline), watchlist: values.list || null, serve, theme: values.theme || null };
+}
+
+export async function runCli(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        period: { type: 'string', short: 'p' },
+        format: { type: 'string', short: 'f' },
+        watchlist: { type: 'boolean', short: 'w' },
+        list: { type: 'string', short: 'l' },
+        offline: { type: 'boolean' },
+        port: { type: 'string' },
+        host: { type: 'string' },
+        preset: { type: 'string' },
+        'dry-run': { type: 'boolean' },
+        add: { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    console.error(`${error.message}\n`);
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...rest] = positionals;
+  if (values.help || command === 'help' || !command) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  try {
+    const config = loadConfig();
+    if (command === 'quote') return await runQuote(values, rest, config);
+    if (command === 'search') return await runSearch(values, rest, config);
+    if (command === 'news') return await runNews(values, rest, config);
+    if (command === 'serve') return await runServe(values, config);
+    if (command === 'import') return await runImport(values, rest, config);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return EXIT_FETCH_FAILED;
+  }
+
+  console.error(`Unknown command "${command}"\n`);
+  console.error(USAGE);
+  return EXIT_USAGE;
+}
@@ -0,0 +1,127 @@
+import { formatChange, formatNumber, formatPrice } from './format.js';
+import { calendarFor, marketSession, SESSION_LABELS } from './sessions.js';
+import { sparkline } from './sparkline.js';
+
+// Watchlist table columns. `value` is the sort key (null sorts last),
+// `format` the cell text; `sign` makes the cell green or red. Assets are
+// passed already converted to the display currency. A `flex` column takes
+// the width the others leave free, down to its `width`.
+export const COLUMNS = {
+  symbol: {
+    header: 'SYMBOL',
+    width: 11,
+    value: asset => asset.symbol,
+    format: asset => asset.symbol
+  },
+  price: {
+    header: 'PRICE',
+    width: 12,
+    value: asset => asset.price,
+    format: asset => formatPrice(asset.price, asset.currency)
+  },
+  change: {
+    header: 'CHANGE',
+    width: 9,
+    value: asset => asset.change,
+    format: asset => formatChange(asset.change),
+    sign: asset => asset.change
+  },
+  change24h: {
+    header: '24H',
+    width: 9,
+    value: asset => asset.change24h,
+    format: asset => formatChange(asset.change24h),
+    sign: asset => asset.change24h
+  },
+  volume: {
+    header: 'VOLUME',
+    width: 9,
+    value: asset => asset.volume || null,
+    format: asset => formatNumber(asset.volume)
+  },
+  marketCap: {
+    header: 'MCAP',
+    width: 9,
+    value: asset => asset.marketCap || null,
+    format: asset => formatNumber(asset.marketCap)
+  },
+  pe: {
+    header: 'P/E',
+    width: 7,
+    value: asset => asset.pe || null,
+    format: asset => (asset.pe ? asset.pe.toFixed(1) : 'N/A')
+  },
+  from52wHigh: {
+    header: 'FROM HI',
+    width: 9,
+    value: asset => (asset.high52w > 0 && asset.price > 0 ? (asset.price / asset.high52w - 1) * 100 : null),
+    format: asset => (asset.high52w > 0 && asset.price > 0
+      ? formatChange((asset.price / asset.high52w - 1) * 100)
+      : 'N/A'),
+    sign: asset => (asset.price >= asset.high52w ? 1 : -1)
+  },
+  session: {
+    header: 'MKT',
+    width: 7,
+    value: asset => (calendarFor(asset) ? SESSION_LABELS[marketSession(asset)] : null),
+    format: asset => (calendarFor(asset) ? SESSION_LABELS[marketSession(asset)] : '24H')
+  },
+  sparkline: {
+    header: 'TREND',
+    width: 5,
+    flex: true,
+    value: asset => asset.change,
+    format: (asset, width) => sparkline(asset.history, width - 1),
+    sign: asset => asset.change
+  }
+};
+
+export const DEFAULT_COLUMNS = ['symbol', 'price', 'change', 'sparkline'];
+
+// Columns that fit `innerWidth`, each with its final width (cells are
+// padded to exactly that, spacing included). Fixed columns are kept left to
+// right while they fit; the first flex column then gets the rest of the row,
+// or is dropped when that is below its minimum width.
+export function layoutColumns(keys, innerWidth) {
+  let used = 0;
+  const fixed = new Set();
+  keys.forEach((key, i) => {
+    if (COLUMNS[key].flex) return;
+    if (i === 0 || used + COLUMNS[key].width <= innerWidth) {
+      used += COLUMNS[key].width;
+      fixed.add(key);
+    }
+  });
+
+  const flexKey = keys.find(key => COLUMNS[key].flex);
+  const flexWidth = innerWidth - used;
+  return keys
+    .filter(key => fixed.has(key) || (key === flexKey && flexWidth >= COLUMNS[key].width))
+    .map(key => ({ key, ...COLUMNS[key], width: fixed.has(key) ? COLUMNS[key].width : flexWidth }));
+}
+
+// Column keys from config, dropping unknown names
+export function resolveColumns(keys) {
+  const requested = Array.isArray(keys) && keys.length > 0 ? keys : DEFAULT_COLUMNS;
+  const columns = requested.filter(key => {
+    if (COLUMNS[key]) return true;
+    console.error(`[Config] Unknown watchlist column "${key}", expected ${Object.keys(COLUMNS).join(', ')}`);
+    return false;
+  });
+  return columns.length > 0 ? columns : DEFAULT_COLUMNS;
+}
+
+// Sort assets by a column; null values go last whatever the direction.
+// `view` maps an asset to what the table shows (e.g. currency converted).
+export function sortAssets(assets, key, descending, view = asset => asset) {
+  const column = COLUMNS[key];
+  if (!column) return assets;
+  return [...assets].sort((a, b) => {
+    const va = column.value(view(a));
+    const vb = column.value(view(b));
+    if (va === null || va === undefined) return vb === null || vb === undefined ? 0 : 1;
+    if (vb === null || vb === undefined) return -1;
+    const order = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+    return descending ? -order : order;
+  });
+}
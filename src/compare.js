@@ -0,0 +1,45 @@
+// Several price series on one time axis, each rebased to 0% at the start.
+// Crypto trades around the clock while stocks only have bars in exchange
+// hours, so every series is sampled "as of" a shared grid: the value at a
+// grid time is the last price at or before it (flat while a market is closed).
+
+const MAX_POINTS = 200;
+
+// Last index in sorted `timestamps` at or before `t`, or -1
+function indexAtOrBefore(timestamps, t, from) {
+  let i = from;
+  while (i + 1 < timestamps.length && timestamps[i + 1] <= t) i++;
+  return timestamps[i] <= t ? i : -1;
+}
+
+// `series` is [{ symbol, timestamps, prices }]. Returns { timestamps, lines }
+// where each line is { symbol, values } in percent; series without aligned
+// timestamps are skipped.
+export function alignPercentChange(series, maxPoints = MAX_POINTS) {
+  const usable = series.filter(s =>
+    s.timestamps?.length > 0 && s.timestamps.length === s.prices?.length
+  );
+  if (usable.length === 0) return { timestamps: [], lines: [] };
+
+  // The grid starts once every series has data and ends at the latest point
+  const start = Math.max(...usable.map(s => s.timestamps[0]));
+  const end = Math.max(...usable.map(s => s.timestamps[s.timestamps.length - 1]));
+  const count = Math.max(2, Math.min(maxPoints, Math.max(...usable.map(s => s.timestamps.length))));
+  const step = (end - start) / (count - 1);
+  const timestamps = Array.from({ length: count }, (_, i) => Math.round(start + i * step));
+
+  const lines = usable.map(s => {
+    let cursor = 0;
+    const sampled = timestamps.map(t => {
+      const i = indexAtOrBefore(s.timestamps, t, cursor);
+      if (i === -1) return null;
+      cursor = i;
+      return s.prices[i];
+    });
+    const base = sampled.find(v => v > 0);
+    const values = sampled.map(v => (v && base ? (v / base - 1) * 100 : 0));
+    return { symbol: s.symbol, values };
+  });
+
+  return { timestamps, lines };
+}
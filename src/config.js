@@ -0,0 +1,74 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, unlinkSync, writeFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { defaultConfigDir } from './paths.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+// Defaults shipped with the package
+export const CONFIG_PATH = path.resolve(__dirname, '../config.json');
+// Where edits are saved: the package directory is read-only for global and npx installs
+export const USER_CONFIG_PATH = path.join(defaultConfigDir(), 'config.json');
+
+// The user's config once one has been saved, the packaged defaults until then
+export function loadConfig(configPath = existsSync(USER_CONFIG_PATH) ? USER_CONFIG_PATH : CONFIG_PATH) {
+  return JSON.parse(readFileSync(configPath, 'utf-8'));
+}
+
+// Write to a temp file in the same directory and rename it over the original,
+// so a crash mid-write never leaves a truncated config behind
+export function saveConfig(configPath, config) {
+  mkdirSync(path.dirname(configPath), { recursive: true });
+  const tmpPath = path.join(path.dirname(configPath), `.${path.basename(configPath)}.${process.pid}.tmp`);
+  try {
+    writeFileSync(tmpPath, JSON.stringify(config, null, 2) + '\n');
+    renameSync(tmpPath, configPath);
+  } catch (error) {
+    try { unlinkSync(tmpPath); } catch (e) { /* nothing to clean up */ }
+    throw error;
+  }
+}
+
+// Name of the list built from a plain `tickers` array
+export const DEFAULT_WATCHLIST = 'Main';
+
+// Named watchlists in config order. `watchlists` maps a name to its tickers;
+// configs with only a `tickers` array have the single list "Main".
+export function getWatchlists(config) {
+  const names = Object.keys(config.watchlists || {});
+  if (names.length === 0) return [{ name: DEFAULT_WATCHLIST, tickers: config.tickers || [] }];
+  return names.map(name => ({ name, tickers: config.watchlists[name] || [] }));
+}
+
+export function findWatchlist(config, name) {
+  return getWatchlists(config).find(list => list.name.toLowerCase() === name.toLowerCase()) || null;
+}
+
+// Add a search result to a watchlist, recording the CoinGecko id of a coin
+// in cryptoIds. Tickers are shared by all lists, so a symbol already mapped
+// to another coin, or to a coin when a stock was picked, cannot be added.
+export function addWatchlistTicker(config, name, { symbol, cryptoId = null }) {
+  const list = findWatchlist(config, name);
+  if (!list) throw new Error(`Unknown watchlist "${name}"`);
+  if (list.tickers.includes(symbol)) throw new Error(`${symbol} is already in the ${list.name} watchlist`);
+
+  const mapped = config.cryptoIds?.[symbol];
+  if (mapped && mapped !== cryptoId) {
+    throw new Error(`${symbol} already stands for the coin ${mapped} in cryptoIds`);
+  }
+  if (cryptoId && !mapped && getWatchlists(config).some(other => other.tickers.includes(symbol))) {
+    throw new Error(`${symbol} is already listed as a stock`);
+  }
+  setWatchlistTickers(config, list.name, [...list.tickers, symbol]);
+  if (cryptoId) config.cryptoIds = { ...config.cryptoIds, [symbol]: cryptoId };
+  return list.name;
+}
+
+// Write a list's tickers back to wherever getWatchlists() read them from
+export function setWatchlistTickers(config, name, tickers) {
+  if (config.watchlists && name in config.watchlists) {
+    config.watchlists[name] = tickers;
+  } else {
+    config.tickers = tickers;
+  }
+}
@@ -0,0 +1,217 @@
+// Broker CSV exports to ledger transactions { date, symbol, type, quantity,
+// price, fees, amount, currency }, type being buy, sell or dividend.
+// A mapping names the CSV column for each field and, per type, the words
+// a type cell starts with (case-insensitive). Rows of other types
+// (transfers, interest, fees) are skipped.
+
+export const BROKER_PRESETS = {
+  generic: {
+    columns: {
+      date: 'Date', symbol: 'Symbol', type: 'Type', quantity: 'Quantity',
+      price: 'Price', fees: 'Fees', amount: 'Amount', currency: 'Currency'
+    },
+    types: { buy: ['Buy'], sell: ['Sell'], dividend: ['Dividend', 'Div'] },
+    dateFormat: 'YMD'
+  },
+  schwab: {
+    columns: {
+      date: 'Date', symbol: 'Symbol', type: 'Action', quantity: 'Quantity',
+      price: 'Price', fees: 'Fees & Comm', amount: 'Amount'
+    },
+    types: {
+      buy: ['Buy', 'Reinvest Shares'],
+      sell: ['Sell'],
+      dividend: ['Cash Dividend', 'Qualified Dividend', 'Non-Qualified Div', 'Reinvest Dividend', 'Special Dividend']
+    },
+    dateFormat: 'MDY',
+    currency: 'USD'
+  },
+  robinhood: {
+    columns: {
+      date: 'Activity Date', symbol: 'Instrument', type: 'Trans Code', quantity: 'Quantity',
+      price: 'Price', amount: 'Amount'
+    },
+    types: { buy: ['Buy'], sell: ['Sell'], dividend: ['CDIV'] },
+    dateFormat: 'MDY',
+    currency: 'USD'
+  },
+  ibkr: {
+    // Flex query trade report
+    columns: {
+      date: 'TradeDate', symbol: 'Symbol', type: 'Buy/Sell', quantity: 'Quantity',
+      price: 'TradePrice', fees: 'IBCommission', currency: 'CurrencyPrimary'
+    },
+    types: { buy: ['BUY'], sell: ['SELL'] },
+    dateFormat: 'YMD'
+  },
+  trading212: {
+    columns: {
+      date: 'Time', symbol: 'Ticker', type: 'Action', quantity: 'No. of shares',
+      price: 'Price / share', amount: 'Total', currency: 'Currency (Price / share)'
+    },
+    types: { buy: ['Market buy', 'Limit buy', 'Stop buy'], sell: ['Market sell', 'Limit sell', 'Stop sell'], dividend: ['Dividend'] },
+    dateFormat: 'YMD'
+  }
+};
+
+const DATE_PATTERNS = {
+  YMD: /^(\d{4})[-/.]?(\d{1,2})[-/.]?(\d{1,2})/,
+  MDY: /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/,
+  DMY: /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/
+};
+
+// Preset (by name, default generic) with config.ledger column, type,
+// dateFormat and currency overrides applied on top
+export function resolveMapping(ledgerConfig = {}, presetName = null) {
+  const name = (presetName || ledgerConfig.preset || 'generic').toLowerCase();
+  const preset = BROKER_PRESETS[name];
+  if (!preset) {
+    throw new Error(`Unknown preset "${name}", expected ${Object.keys(BROKER_PRESETS).join(', ')}`);
+  }
+  return {
+    name,
+    columns: { ...preset.columns, ...ledgerConfig.columns },
+    types: { ...preset.types, ...ledgerConfig.types },
+    dateFormat: (ledgerConfig.dateFormat || preset.dateFormat).toUpperCase(),
+    currency: ledgerConfig.currency || preset.currency
+  };
+}
+
+// RFC 4180 rows: quoted fields may hold commas, quotes ("") and newlines
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// "$1,234.50", "(12.00)" or "-3" to a number; NaN when empty
+function parseNumber(text) {
+  const cleaned = String(text ?? '').replace(/[$€£₺\s,]/g, '');
+  if (!cleaned) return NaN;
+  const negative = /^\(.*\)$/.test(cleaned);
+  const value = Number(cleaned.replace(/[()]/g, ''));
+  return negative ? -value : value;
+}
+
+// Date cell to YYYY-MM-DD, or null when it does not match the format
+function parseDate(text, format) {
+  const match = DATE_PATTERNS[format]?.exec(String(text).trim());
+  if (!match) return null;
+  const [year, month, day] = format === 'YMD'
+    ? [match[1], match[2], match[3]]
+    : format === 'MDY' ? [match[3], match[1], match[2]] : [match[3], match[2], match[1]];
+  if (Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > 31) return null;
+  return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+function matchType(cell, types) {
+  const text = String(cell || '').trim().toLowerCase();
+  for (const [type, words] of Object.entries(types)) {
+    if (words.some(word => text.startsWith(word.toLowerCase()))) return type;
+  }
+  return null;
+}
+
+// Transactions from CSV text. The header is the first row holding the
+// mapped date and symbol columns, so title lines above it are skipped.
+// Returns { transactions, skipped, errors } with errors as "row N: ..." text.
+export function parseTransactions(text, mapping) {
+  const rows = parseCsv(text);
+  const { columns } = mapping;
+  const normalize = (name) => String(name || '').trim().toLowerCase();
+  const headerIndex = rows.findIndex(row => {
+    const names = row.map(normalize);
+    return names.includes(normalize(columns.date)) && names.includes(normalize(columns.symbol));
+  });
+  if (headerIndex < 0) {
+    throw new Error(`No header row with "${columns.date}" and "${columns.symbol}" columns (preset ${mapping.name})`);
+  }
+
+  const header = rows[headerIndex].map(normalize);
+  const indexOf = Object.fromEntries(Object.entries(columns).map(([field, name]) => [field, header.indexOf(normalize(name))]));
+  const cell = (row, field) => (indexOf[field] >= 0 ? String(row[indexOf[field]] ?? '').trim() : '');
+
+  const transactions = [];
+  const errors = [];
+  let skipped = 0;
+
+  rows.slice(headerIndex + 1).forEach((row, i) => {
+    const line = headerIndex + i + 2; // 1-based, counting the header
+    const type = indexOf.type >= 0
+      ? matchType(cell(row, 'type'), mapping.types)
+      : (parseNumber(cell(row, 'quantity')) < 0 ? 'sell' : 'buy'); // No type column: the sign decides
+    const symbol = cell(row, 'symbol').toUpperCase();
+    if (!type || !symbol) {
+      skipped++;
+      return;
+    }
+
+    const date = parseDate(cell(row, 'date'), mapping.dateFormat);
+    const quantity = Math.abs(parseNumber(cell(row, 'quantity')));
+    const price = Math.abs(parseNumber(cell(row, 'price')));
+    const fees = Math.abs(parseNumber(cell(row, 'fees'))) || 0;
+    const amount = parseNumber(cell(row, 'amount'));
+
+    if (!date) {
+      errors.push(`row ${line}: cannot read date "${cell(row, 'date')}" as ${mapping.dateFormat}`);
+      return;
+    }
+    if (type !== 'dividend' && !(quantity > 0 && price >= 0)) {
+      errors.push(`row ${line}: ${type} of ${symbol} needs a quantity and a price`);
+      return;
+    }
+
+    const dividend = Number.isFinite(amount) ? Math.abs(amount) : (quantity || 0) * (price || 0);
+    if (type === 'dividend' && !(dividend > 0)) {
+      errors.push(`row ${line}: dividend of ${symbol} has no amount`);
+      return;
+    }
+
+    transactions.push({
+      date,
+      symbol,
+      type,
+      quantity: type === 'dividend' ? 0 : quantity,
+      price: type === 'dividend' ? 0 : price,
+      fees,
+      amount: type === 'dividend' ? dividend : quantity * price,
+      currency: cell(row, 'currency').toUpperCase() || mapping.currency || null
+    });
+  });
+
+  return { transactions, skipped, errors };
+}
@@ -1,62 +1,86 @@
-import axios from 'axios';
-import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { resolveCacheDir } from './paths.js';
+import { createDefaultRegistry } from './providers/index.js';
+import { closedSince } from './sessions.js';
+import { barsToSeries, seriesToBars, TimeSeriesStore } from './store.js';
 
-// Global rate limiter for CoinGecko - sequential with delay
-let lastCoinGeckoCall = 0;
-const COINGECKO_DELAY = 5000; // 5 seconds between calls to avoid 429
-
-// File cache settings
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const ROOT_DIR = path.resolve(__dirname, '..');
-const CACHE_FILE = path.join(ROOT_DIR, 'cache.json');
+// File cache settings, overridable per source through config.cache.ttl
 const CACHE_TTL = 60 * 1000; // 1 minute cache validity
-const DETAIL_TTL = 30 * 60 * 1000; // 30 minutes for crypto detail
+const FX_TTL = 10 * 60 * 1000; // 10 minutes for exchange rates
+const NEWS_TTL = 15 * 60 * 1000; // 15 minutes for headlines and events
+const FUNDAMENTALS_TTL = 6 * 60 * 60 * 1000; // 6 hours for company and fund figures
+const SAVE_DELAY = 1000; // Batch cache file writes
+const DAY = 24 * 60 * 60 * 1000;
 
-async function waitForCoinGecko() {
-  const now = Date.now();
-  const elapsed = now - lastCoinGeckoCall;
-  if (elapsed < COINGECKO_DELAY) {
-    await new Promise(resolve => setTimeout(resolve, COINGECKO_DELAY - elapsed));
-  }
-  lastCoinGeckoCall = Date.now();
+// Shorter ranges tried when topping up a stored series instead of re-downloading it
+const REFRESH_DAYS = [1, 7, 30, 90, 365];
+
+// Services with a cache write still pending; one exit hook flushes them all,
+// so instances are not kept alive by a listener each
+const pendingSaves = new Set();
+let exitHookInstalled = false;
+
+function flushPendingSaves() {
+  for (const service of pendingSaves) service.saveFileCache();
 }
 
-async function axiosGetWithRetry(url, options, retries = 3, baseDelay = 1000) {
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    try {
-      await waitForCoinGecko();
-      return await axios.get(url, options);
-    } catch (e) {
-      const status = e.response?.status;
-      const shouldRetry = status === 429 || (status >= 500) || !status;
-      if (attempt < retries && shouldRetry) {
-        const jitter = Math.floor(Math.random() * 300);
-        const delay = baseDelay * Math.pow(2, attempt) + jitter;
-        await new Promise(r => setTimeout(r, delay));
-        continue;
-      }
-      throw e;
+// Default provider per asset class, overridable through config.providers
+const DEFAULT_PROVIDERS = {
+  crypto: 'coingecko',
+  stock: 'yahoo'
+};
+
+// Bar sizes such as '5m', '1h', '1d' or '1wk' in milliseconds, null when unknown
+function intervalMs(interval) {
+  const match = /^(\d+)(m|h|d|wk|mo)$/.exec(interval || '');
+  if (!match) return null;
+  const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: DAY, wk: 7 * DAY, mo: 30 * DAY }[match[2]];
+  return Number(match[1]) * unit;
+}
+
+// Periods are { days, interval? } (see periods.js); a plain number is a day count
+function toPeriod(period) {
+  return typeof period === 'number' ? { days: period } : { days: period.days, interval: period.interval };
+}
+
+// Copy over only fields that carry a usable value, so a missing detail
+// never masks what the chart response already provided
+function mergeDefined(target, source) {
+  for (const [key, value] of Object.entries(source || {})) {
+    if (value !== null && value !== undefined && value !== 0 && !Number.isNaN(value)) {
+      target[key] = value;
     }
   }
+  return target;
 }
 
 export class DataService {
-  constructor() {
+  constructor(options = {}) {
+    const cacheOptions = options.cache || {};
     this.cache = new Map();
+    this.providerConfig = options.providers || {};
+    this.registry = options.registry || createDefaultRegistry({ rateLimits: this.providerConfig.rateLimits, http: options.http });
+    this.cacheDir = resolveCacheDir(cacheOptions.dir);
+    this.cacheFile = path.join(this.cacheDir, 'cache.json');
+    this.ttl = { default: CACHE_TTL, fx: FX_TTL, news: NEWS_TTL, fundamentals: FUNDAMENTALS_TTL, ...cacheOptions.ttl };
+    this.detailTtl = cacheOptions.detailTtl || {};
+    this.offline = Boolean(options.offline); // Serve only from cache, never touch the network
+    this.store = new TimeSeriesStore(options.storeDir || path.join(this.cacheDir, 'series'), options.storeOptions);
+    this.saveTimer = null;
     this.loadFileCache();
   }
 
   loadFileCache() {
     try {
-      if (existsSync(CACHE_FILE)) {
-        const data = JSON.parse(readFileSync(CACHE_FILE, 'utf-8'));
+      if (existsSync(this.cacheFile)) {
+        const data = JSON.parse(readFileSync(this.cacheFile, 'utf-8'));
         for (const [key, value] of Object.entries(data)) {
+          // Chart entries from before the series store carried their history inline
+          if (Array.isArray(value?.history)) continue;
           this.cache.set(key, value);
         }
-        console.log(`[Cache] Loaded ${Object.keys(data).length} entries from file`);
+        console.error(`[Cache] Loaded ${this.cache.size} entries from file`);
       }
     } catch (error) {
       console.error('[Cache] Error loading cache file:', error.message);
@@ -64,137 +88,342 @@ export class DataService {
   }
 
   saveFileCache() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    pendingSaves.delete(this);
     try {
       const data = Object.fromEntries(this.cache);
-      writeFileSync(CACHE_FILE, JSON.stringify(data, null, 2));
+      mkdirSync(this.cacheDir, { recursive: true });
+      writeFileSync(this.cacheFile, JSON.stringify(data));
     } catch (error) {
       console.error('[Cache] Error saving cache file:', error.message);
     }
   }
 
-  isCacheValid(cacheKey, ttl = CACHE_TTL) {
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.saveFileCache(), SAVE_DELAY);
+    this.saveTimer.unref?.();
+    // Flush a pending cache write on the way out
+    pendingSaves.add(this);
+    if (!exitHookInstalled) {
+      process.on('exit', flushPendingSaves);
+      exitHookInstalled = true;
+    }
+  }
+
+  // Write out a pending cache change now, for callers done with the service
+  close() {
+    if (this.saveTimer) this.saveFileCache();
+  }
+
+  // Offline, any cached entry is good enough regardless of its age
+  isCacheValid(cacheKey, ttl = this.ttl.default) {
     const cached = this.cache.get(cacheKey);
     if (!cached || !cached.timestamp) return false;
+    if (this.offline) return true;
     return (Date.now() - cached.timestamp) < ttl;
   }
 
-  async fetchCryptoData(symbol, coinId, days = 7) {
-    const chartKey = `crypto-${symbol}-${days}`;
-    const detailKey = `detail-${coinId}`;
-    
-    // Use cached chart if valid
-    if (this.isCacheValid(chartKey)) {
-      return { ...this.cache.get(chartKey), fromCache: true };
+  // A snapshot stays current past its TTL while its market has been closed
+  // ever since it was taken; the next refresh happens once a session starts
+  isSnapshotCurrent(chartKey, provider) {
+    if (this.isCacheValid(chartKey, this.ttlFor(provider))) return true;
+    const cached = this.cache.get(chartKey);
+    return Boolean(cached && closedSince(cached, cached.timestamp));
+  }
+
+  ttlFor(provider) {
+    return this.ttl[provider.name] ?? this.ttl.default;
+  }
+
+  detailTtlFor(provider) {
+    return this.detailTtl[provider.name] ?? provider.detailTtl;
+  }
+
+  // Pick the provider for a ticker: explicit symbol mapping first, then the
+  // asset class (crypto when listed in cryptoIds, stock otherwise)
+  resolveProvider(symbol, cryptoIds = {}) {
+    const assetClass = cryptoIds[symbol] ? 'crypto' : 'stock';
+    const name = this.providerConfig.symbols?.[symbol]
+      || this.providerConfig[assetClass]
+      || DEFAULT_PROVIDERS[assetClass];
+    const provider = this.registry.get(name);
+    const id = provider.assetType === 'crypto' ? (cryptoIds[symbol] || symbol) : symbol;
+    return { provider, id };
+  }
+
+  // Validate a ticker typed by the user. "crypto:BTC" forces a crypto lookup;
+  // anything else is tried as a stock first, then as a crypto symbol. Bare
+  // coin tickers often belong to a fund too (BTC is a Grayscale ETF), so the
+  // prompts ask for the prefix.
+  async lookupTicker(input) {
+    if (this.offline) throw new Error('Cannot look up tickers in offline mode');
+    const raw = input.trim();
+    const forced = /^crypto:(.+)$/i.exec(raw);
+    const query = forced ? forced[1] : raw;
+    const assetClasses = forced ? ['crypto'] : ['stock', 'crypto'];
+
+    let lastError = null;
+    for (const assetClass of assetClasses) {
+      const provider = this.registry.get(this.providerConfig[assetClass] || DEFAULT_PROVIDERS[assetClass]);
+      if (typeof provider.resolveId !== 'function') continue;
+      try {
+        const { symbol, id } = await provider.resolveId(query);
+        return { symbol, cryptoId: assetClass === 'crypto' ? id : null };
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError || new Error(`Cannot resolve ${query}`);
+  }
+
+  // Search the stock and crypto sources for a name or ticker. Returns
+  // { results, errors }: stock matches first, each result carrying the
+  // CoinGecko id to record in cryptoIds (null for stocks), and one message
+  // per source that failed.
+  async searchAssets(query) {
+    if (this.offline) throw new Error('Cannot search in offline mode');
+    const providers = ['stock', 'crypto']
+      .map(assetClass => this.registry.get(this.providerConfig[assetClass] || DEFAULT_PROVIDERS[assetClass]))
+      .filter((provider, i, all) => typeof provider.search === 'function' && all.indexOf(provider) === i);
+
+    const settled = await Promise.allSettled(providers.map(provider => provider.search(query)));
+    const results = [];
+    const errors = [];
+    settled.forEach((outcome, i) => {
+      const provider = providers[i];
+      if (outcome.status === 'rejected') {
+        errors.push(`${provider.name}: ${outcome.reason.message}`);
+        return;
+      }
+      for (const { id, ...result } of outcome.value) {
+        results.push({ ...result, provider: provider.name, cryptoId: provider.assetType === 'crypto' ? id : null });
+      }
+    });
+    return { results, errors };
+  }
+
+  seriesKey(symbol, provider, { days, interval }) {
+    const barSize = typeof provider.intervalFor === 'function' ? provider.intervalFor(days, interval) : `${days}d`;
+    return `${provider.name}-${symbol}-${barSize}`;
+  }
+
+  chartKey(symbol, provider, { days, interval }) {
+    return `${provider.name}-${symbol}-${days}${interval ? `-${interval}` : ''}`;
+  }
+
+  // Days to request so the stored series covers the whole period. When the
+  // store already reaches back to the start of the range and is recent enough,
+  // a shorter request with the same bar size tops it up.
+  incrementalDays(provider, seriesKey, { days, interval: requested }) {
+    if (typeof provider.intervalFor !== 'function') return days;
+
+    const interval = provider.intervalFor(days, requested);
+    const points = this.store.read(seriesKey);
+    if (points.length === 0) return days;
+
+    const now = Date.now();
+    const tolerance = Math.max(3 * DAY, days * DAY * 0.05);
+    if (points[0].t > now - days * DAY + tolerance) return days;
+
+    const last = points[points.length - 1].t;
+    const shorter = REFRESH_DAYS.filter(d =>
+      d < days && provider.intervalFor(d, requested) === interval && last >= now - d * DAY
+    );
+    return shorter.length > 0 ? Math.min(...shorter) : days;
+  }
+
+  // Rebuild a full result from a cached snapshot plus the stored series
+  withStoredSeries(snapshot, seriesKey, extra) {
+    const series = barsToSeries(this.store.read(seriesKey, snapshot.seriesFrom ?? 0));
+    const prices = series.prices.length > 0 ? series.prices : [0];
+    return {
+      ...snapshot,
+      history: prices,
+      timestamps: series.timestamps,
+      ohlcv: {
+        open: series.ohlc.open,
+        high: series.ohlc.high,
+        low: series.ohlc.low,
+        close: prices,
+        volume: series.volumes
+      },
+      ...extra
+    };
+  }
+
+  // With a batch quote at hand the series is only downloaded again once per
+  // bar: until then the stored bars plus the quote are up to date. Once the
+  // last stored bar's period is over (a new session has opened) the quote
+  // belongs to a bar the store does not have yet, so history is fetched.
+  historyIsCurrent(provider, chartKey, seriesKey, { days, interval }) {
+    if (typeof provider.intervalFor !== 'function') return false;
+    const barMs = intervalMs(provider.intervalFor(days, interval));
+    const historyAt = this.cache.get(chartKey)?.historyAt;
+    if (!barMs || !historyAt || Date.now() - historyAt >= barMs) return false;
+    const bars = this.store.read(seriesKey, Date.now() - days * DAY);
+    return bars.length > 0 && Date.now() < bars[bars.length - 1].t + barMs;
+  }
+
+  // Move the still-open last bar to the latest quoted price
+  applyQuoteToSeries(seriesKey, { days }, price) {
+    const bars = this.store.read(seriesKey, Date.now() - days * DAY);
+    const last = bars[bars.length - 1];
+    if (!last || !price) return;
+    this.store.append(seriesKey, [{ ...last, c: price, h: Math.max(last.h, price), l: Math.min(last.l, price) }]);
+  }
+
+  // `quote` is this asset's entry from a batch fetchQuotes() call, if any;
+  // it stands in for the per-symbol fetchDetails() request
+  async fetchAsset(symbol, provider, id, period = 7, quote = null) {
+    const range = toPeriod(period);
+    const { days } = range;
+    const chartKey = this.chartKey(symbol, provider, range);
+    const detailKey = `detail-${provider.name}-${id}`;
+    const seriesKey = this.seriesKey(symbol, provider, range);
+
+    // Use cached snapshot if valid; the series itself lives in the store
+    if (this.isSnapshotCurrent(chartKey, provider)) {
+      return this.withStoredSeries(this.cache.get(chartKey), seriesKey, { fromCache: true });
     }
-    
+
     try {
-      // Fetch chart sequentially with delay
-      const chartResponse = await axiosGetWithRetry(`https://api.coingecko.com/api/v3/coins/${coinId}/market_chart`, {
-        params: { vs_currency: 'usd', days: days },
-        headers: { 'User-Agent': 'Mozilla/5.0' },
-        timeout: 10000
-      });
-
-      // Build aligned timestamps + prices arrays, filtering invalid points
-      const pairs = chartResponse.data.prices || [];
-      const timestamps = [];
-      const prices = [];
-      for (const p of pairs) {
-        const ts = p?.[0];
-        const val = p?.[1];
-        if (val !== null && val !== undefined && !isNaN(val)) {
-          timestamps.push(typeof ts === 'number' ? ts : Date.now());
-          prices.push(val);
-        }
+      if (this.offline) throw new Error('offline and not cached');
+
+      let series;
+      let historyAt = Date.now();
+      if (quote && this.historyIsCurrent(provider, chartKey, seriesKey, range)) {
+        // The cached snapshot keeps the period's previous close, currency and type
+        const cached = this.cache.get(chartKey);
+        this.applyQuoteToSeries(seriesKey, range, quote.price);
+        series = { ...barsToSeries(this.store.read(seriesKey, cached.seriesFrom ?? 0)), quote: cached };
+        historyAt = cached.historyAt;
+      } else {
+        const fetchDays = this.incrementalDays(provider, seriesKey, range);
+        const fetched = await provider.fetchHistory(id, fetchDays, range.interval);
+        const interval = typeof provider.intervalFor === 'function' ? provider.intervalFor(days, range.interval) : null;
+        this.store.append(seriesKey, seriesToBars(fetched), { interval });
+
+        // A partial fetch is merged with what is stored; its previous close
+        // belongs to the shorter range, so the change is taken from the series
+        series = fetchDays === days
+          ? fetched
+          : {
+            ...barsToSeries(this.store.read(seriesKey, Date.now() - days * DAY)),
+            quote: { ...fetched.quote, previousClose: undefined }
+          };
       }
+
+      const timestamps = series.timestamps || [];
+      const prices = series.prices || [];
       if (prices.length === 0) prices.push(0);
       const validPrices = prices.filter(p => p > 0);
 
-      // Try to use cached details (longer TTL)
-      let detailData = this.isCacheValid(detailKey, DETAIL_TTL) ? this.cache.get(detailKey) : null;
-      if (!detailData) {
-        // Space requests to avoid burst 429
+      // Try to use cached details (per-provider TTL)
+      const detailTtl = this.detailTtlFor(provider);
+      let details = quote ? { ...quote, timestamp: Date.now() } : null;
+      if (details && detailTtl > 0) {
+        this.cache.set(detailKey, details);
+      }
+      if (!details && this.isCacheValid(detailKey, detailTtl)) {
+        details = this.cache.get(detailKey);
+      }
+      if (!details) {
         try {
-          const detailResponse = await axiosGetWithRetry(`https://api.coingecko.com/api/v3/coins/${coinId}`, {
-            params: { localization: false, tickers: false, community_data: false, developer_data: false },
-            headers: { 'User-Agent': 'Mozilla/5.0' },
-            timeout: 10000
-          });
-          const md = detailResponse.data.market_data || {};
-          detailData = {
-            currentPrice: md.current_price?.usd || null,
-            change24h: md.price_change_percentage_24h || 0,
-            high24h: md.high_24h?.usd || null,
-            low24h: md.low_24h?.usd || null,
-            ath: md.ath?.usd || null,
-            atl: md.atl?.usd || null,
-            marketCap: md.market_cap?.usd || 0,
-            volume24h: md.total_volume?.usd || 0,
-            circulatingSupply: md.circulating_supply || 0,
-            totalSupply: md.total_supply || 0,
-            rank: detailResponse.data.market_cap_rank || 0,
-            timestamp: Date.now()
-          };
-          this.cache.set(detailKey, detailData);
-          this.saveFileCache();
+          details = { ...(await provider.fetchDetails(id)), timestamp: Date.now() };
+          if (detailTtl > 0) {
+            this.cache.set(detailKey, details);
+          }
         } catch (e) {
           // Details optional; continue with chart-only data
-          detailData = null;
+          details = null;
         }
       }
 
-      const currentPrice = (detailData?.currentPrice ?? prices[prices.length - 1]) || 0;
-      const firstPrice = prices[0] || currentPrice;
-      const change = firstPrice > 0 ? ((currentPrice - firstPrice) / firstPrice) * 100 : 0;
+      const { timestamp, ...detailFields } = details || {};
+      const snapshot = mergeDefined(mergeDefined({}, series.quote), detailFields);
+
+      const currentPrice = snapshot.price || prices[prices.length - 1] || 0;
+      const previousClose = snapshot.previousClose || prices[0] || currentPrice;
+      const change = previousClose > 0 ? ((currentPrice - previousClose) / previousClose) * 100 : 0;
 
       const result = {
         symbol,
-        type: 'crypto',
+        provider: provider.name,
+        currency: snapshot.currency,
+        type: snapshot.type || provider.assetType,
         price: currentPrice,
         change,
-        change24h: detailData?.change24h ?? 0,
+        change24h: snapshot.change24h ?? change,
         history: prices,
         timestamps,
+        ohlcv: {
+          open: series.ohlc?.open || prices,
+          high: series.ohlc?.high || prices,
+          low: series.ohlc?.low || prices,
+          close: prices,
+          volume: series.volumes || []
+        },
+        seriesFrom: timestamps[0] ?? Date.now() - days * DAY,
+        historyAt,
         // Extended
-        open: prices[0] || 0,
-        high: (detailData?.high24h ?? (validPrices.length > 0 ? Math.max(...validPrices) : 0)) || 0,
-        low: (detailData?.low24h ?? (validPrices.length > 0 ? Math.min(...validPrices) : 0)) || 0,
-        high52w: detailData?.ath ?? 0,
-        low52w: detailData?.atl ?? 0,
-        marketCap: detailData?.marketCap ?? 0,
-        volume: detailData?.volume24h ?? 0,
-        circulatingSupply: detailData?.circulatingSupply ?? 0,
-        totalSupply: detailData?.totalSupply ?? 0,
-        rank: detailData?.rank ?? 0,
+        open: snapshot.open || prices[0] || 0,
+        previousClose,
+        high: snapshot.high || (validPrices.length > 0 ? Math.max(...validPrices) : 0),
+        low: snapshot.low || (validPrices.length > 0 ? Math.min(...validPrices) : 0),
+        high52w: snapshot.high52w || 0,
+        low52w: snapshot.low52w || 0,
+        marketCap: snapshot.marketCap || 0,
+        volume: snapshot.volume || 0,
+        avgVolume: snapshot.avgVolume || 0,
+        pe: snapshot.pe || 0,
+        circulatingSupply: snapshot.circulatingSupply || 0,
+        totalSupply: snapshot.totalSupply || 0,
+        rank: snapshot.rank || 0,
+        // Exchange session (see sessions.js)
+        exchange: snapshot.exchange,
+        timezone: snapshot.timezone,
+        tradingPeriods: snapshot.tradingPeriods,
+        preMarketPrice: snapshot.preMarketPrice || 0,
+        preMarketChange: snapshot.preMarketChange || 0,
+        postMarketPrice: snapshot.postMarketPrice || 0,
+        postMarketChange: snapshot.postMarketChange || 0,
         timestamp: Date.now(),
         error: false
       };
 
-      this.cache.set(chartKey, result);
-      this.saveFileCache();
+      // Only the snapshot goes to the cache file; series data is in the store
+      const { history, timestamps: _, ohlcv, ...cached } = result;
+      this.cache.set(chartKey, cached);
+      this.scheduleSave();
       return result;
 
     } catch (error) {
-      console.error(`[Crypto] ${symbol}: ${error.message}`);
-      
+      console.error(`[${provider.name}] ${symbol}: ${error.message}`);
+
       if (this.cache.has(chartKey)) {
-        return { ...this.cache.get(chartKey), error: true, fromCache: true };
+        return this.withStoredSeries(this.cache.get(chartKey), seriesKey, { error: true, fromCache: true });
       }
 
       return {
         symbol,
-        type: 'crypto',
+        provider: provider.name,
+        type: provider.assetType,
         price: 0,
         change: 0,
         change24h: 0,
         history: [0],
         open: 0,
+        previousClose: 0,
         high: 0,
         low: 0,
         high52w: 0,
         low52w: 0,
         marketCap: 0,
         volume: 0,
+        avgVolume: 0,
+        pe: 0,
         circulatingSupply: 0,
         totalSupply: 0,
         rank: 0,
@@ -203,159 +432,125 @@ export class DataService {
     }
   }
 
-  async fetchStockData(symbol, days = 7) {
-    const cacheKey = `stock-${symbol}-${days}`;
-    
-    // Return cached data if valid
-    if (this.isCacheValid(cacheKey)) {
-      return { ...this.cache.get(cacheKey), fromCache: true };
-    }
-    
-    let range = '7d';
-    let interval = '1d';
-    if (days <= 1) {
-      range = '1d';
-      interval = '1h';
-    } else if (days <= 7) {
-      range = '7d';
-      interval = '1d';
-    } else if (days <= 30) {
-      range = '1mo';
-      interval = '1d';
-    } else {
-      range = '3mo';
-      interval = '1d';
+  // Rate to convert one unit of `from` into `to`, via Yahoo-style FROMTO=X pairs.
+  // Returns null when no rate is available so callers can stay in native currency.
+  async fetchFxRate(from, to) {
+    if (!from || !to || from === to) return 1;
+
+    const cacheKey = `fx-${from}${to}`;
+    if (this.isCacheValid(cacheKey, this.ttl.fx)) {
+      return this.cache.get(cacheKey).rate;
     }
-    
+    if (this.offline) return null;
+
     try {
-      // Fetch chart data
-      const response = await axios.get(`https://query1.finance.yahoo.com/v8/finance/chart/${symbol}`, {
-        params: { interval, range },
-        headers: { 'User-Agent': 'Mozilla/5.0' },
-        timeout: 10000
-      });
-
-      const result = response.data.chart.result[0];
-      const quote = result.indicators.quote[0];
-      const meta = result.meta;
-
-      // Align timestamps with close prices, filtering invalid points
-      const rawCloses = quote.close || [];
-      const rawTimestamps = result.timestamp || [];
-      const closePrices = [];
-      const timestamps = [];
-      for (let i = 0; i < rawCloses.length; i++) {
-        const val = rawCloses[i];
-        if (val !== null && val !== undefined && !isNaN(val)) {
-          closePrices.push(val);
-          const ts = rawTimestamps[i];
-          timestamps.push(typeof ts === 'number' ? ts * 1000 : Date.now());
-        }
-      }
-      
-      if (closePrices.length === 0) closePrices.push(0);
-      
-      const currentPrice = meta.regularMarketPrice || closePrices[closePrices.length - 1] || 0;
-      const previousClose = meta.chartPreviousClose || closePrices[0] || currentPrice;
-      const change = previousClose > 0 ? ((currentPrice - previousClose) / previousClose) * 100 : 0;
-      const validPrices = closePrices.filter(p => p > 0);
+      const provider = this.registry.get(this.providerConfig.fx || 'yahoo');
+      const series = await provider.fetchHistory(`${from}${to}=X`, 1);
+      const rate = series.quote?.price || series.prices?.[series.prices.length - 1];
+      if (!rate) throw new Error('empty rate');
 
-      // Get first price of the day as open (approximation)
-      const openPrices = (quote.open || []).filter(p => p !== null && !isNaN(p));
-      const openPrice = openPrices[openPrices.length - 1] || previousClose;
+      this.cache.set(cacheKey, { rate, timestamp: Date.now() });
+      this.scheduleSave();
+      return rate;
+    } catch (error) {
+      console.error(`[FX] ${from}${to}: ${error.message}`);
+      return this.cache.get(cacheKey)?.rate ?? null;
+    }
+  }
 
-      const data = {
-        symbol,
-        currency: meta.currency,
-        type: meta.instrumentType,
-        price: currentPrice,
-        change,
-        change24h: change,
-        history: closePrices,
-        timestamps,
-        // Extended data
-        open: openPrice,
-        previousClose: previousClose,
-        high: meta.regularMarketDayHigh || (validPrices.length > 0 ? Math.max(...validPrices) : 0),
-        low: meta.regularMarketDayLow || (validPrices.length > 0 ? Math.min(...validPrices) : 0),
-        high52w: meta.fiftyTwoWeekHigh || 0,
-        low52w: meta.fiftyTwoWeekLow || 0,
-        marketCap: 0,
-        volume: meta.regularMarketVolume || 0,
-        avgVolume: 0,
-        pe: 0,
-        timestamp: Date.now(),
-        error: false
-      };
+  // Per-asset extras (news, fundamentals) from the optional provider
+  // `method`, cached for ttl[kind]; null when the source does not offer
+  // `method`. A failed fetch carries `error`, along with the cached copy
+  // whatever its age. Nothing is logged: stderr would land on the dashboard.
+  async fetchExtra(kind, method, symbol, cryptoIds = {}) {
+    const { provider, id } = this.resolveProvider(symbol, cryptoIds);
+    if (typeof provider[method] !== 'function') return null;
 
-      // Try to get additional quote data
-      try {
-        const quoteResponse = await axios.get(`https://query1.finance.yahoo.com/v7/finance/quote`, {
-          params: { symbols: symbol },
-          headers: { 'User-Agent': 'Mozilla/5.0' },
-          timeout: 5000
-        });
-        
-        const quoteData = quoteResponse.data.quoteResponse?.result?.[0];
-        if (quoteData) {
-          data.marketCap = quoteData.marketCap || 0;
-          data.pe = quoteData.trailingPE || quoteData.forwardPE || 0;
-          data.avgVolume = quoteData.averageDailyVolume3Month || quoteData.averageDailyVolume10Day || 0;
-          data.high52w = quoteData.fiftyTwoWeekHigh || data.high52w;
-          data.low52w = quoteData.fiftyTwoWeekLow || data.low52w;
-          data.open = quoteData.regularMarketOpen || data.open;
-        }
-      } catch (e) {
-        // Quote data is optional, continue without it
-      }
+    const cacheKey = `${kind}-${provider.name}-${id}`;
+    if (this.isCacheValid(cacheKey, this.ttl[kind])) {
+      return { ...this.cache.get(cacheKey), fromCache: true };
+    }
+    if (this.offline) return { timestamp: null, fromCache: true, error: `No cached ${kind} in offline mode` };
 
+    try {
+      const data = { ...(await provider[method](id)), timestamp: Date.now() };
       this.cache.set(cacheKey, data);
-      this.saveFileCache();
-      return data;
-
+      this.scheduleSave();
+      return { ...data, fromCache: false };
     } catch (error) {
-      console.error(`[Stock] ${symbol}: ${error.message}`);
-      
-      if (this.cache.has(cacheKey)) {
-        return { ...this.cache.get(cacheKey), error: true, fromCache: true };
-      }
+      const cached = this.cache.get(cacheKey);
+      if (cached) return { ...cached, fromCache: true, error: error.message };
+      return { timestamp: null, fromCache: false, error: error.message };
+    }
+  }
 
-      return {
-        symbol,
-        type: 'stock',
-        price: 0,
-        change: 0,
-        change24h: 0,
-        history: [0],
-        open: 0,
-        previousClose: 0,
-        high: 0,
-        low: 0,
-        high52w: 0,
-        low52w: 0,
-        marketCap: 0,
-        volume: 0,
-        avgVolume: 0,
-        pe: 0,
-        error: true
-      };
+  // Headlines and upcoming events: { items, events, timestamp, fromCache }
+  async fetchNews(symbol, cryptoIds = {}) {
+    const news = await this.fetchExtra('news', 'fetchNews', symbol, cryptoIds);
+    return news && { items: [], events: [], ...news };
+  }
+
+  // Company or fund figures (see providers/index.js), stocks and ETFs only
+  async fetchFundamentals(symbol, cryptoIds = {}) {
+    return this.fetchExtra('fundamentals', 'fetchFundamentals', symbol, cryptoIds);
+  }
+
+  async fetchFxRates(currencies, base) {
+    const rates = { [base]: 1 };
+    for (const currency of new Set(currencies)) {
+      if (!currency || currency in rates) continue;
+      const rate = await this.fetchFxRate(currency, base);
+      if (rate) rates[currency] = rate;
     }
+    return rates;
   }
 
-  async fetchAllAssets(tickers, cryptoIds, days = 7) {
-    const results = [];
-    
-    // Sequential fetching to respect rate limits
-    for (const ticker of tickers) {
-      const coinId = cryptoIds[ticker];
-      if (coinId) {
-        results.push(await this.fetchCryptoData(ticker, coinId, days));
-      } else {
-        results.push(await this.fetchStockData(ticker, days));
-      }
+  // One fetchQuotes() request per provider for every asset whose snapshot
+  // needs refreshing. Returns Map of provider name -> Map of id -> quote;
+  // providers without batch support or whose batch failed are left out.
+  async fetchBatchQuotes(targets, period) {
+    const idsByProvider = new Map();
+    for (const { symbol, provider, id } of targets) {
+      if (typeof provider.fetchQuotes !== 'function') continue;
+      if (this.isSnapshotCurrent(this.chartKey(symbol, provider, period), provider)) continue;
+      if (!idsByProvider.has(provider)) idsByProvider.set(provider, new Set());
+      idsByProvider.get(provider).add(id);
     }
-    
-    return results;
+
+    const quotes = new Map();
+    await Promise.all([...idsByProvider].map(async ([provider, ids]) => {
+      try {
+        quotes.set(provider.name, await provider.fetchQuotes([...ids]));
+      } catch (error) {
+        console.error(`[${provider.name}] batch quote: ${error.message}`);
+      }
+    }));
+    return quotes;
+  }
+
+  // All tickers are fetched at once; each provider's limiter decides how
+  // many requests actually run. `onAsset(asset, index)` is called as soon as
+  // an asset is ready, the returned array keeps the order of `tickers`.
+  async fetchAllAssets(tickers, cryptoIds = {}, period = 7, onAsset = null) {
+    const range = toPeriod(period);
+    const targets = tickers.map(symbol => ({ symbol, ...this.resolveProvider(symbol, cryptoIds) }));
+    const quotes = this.offline ? new Map() : await this.fetchBatchQuotes(targets, range);
+
+    return Promise.all(targets.map(async ({ symbol, provider, id }, index) => {
+      const quote = quotes.get(provider.name)?.get(id) || null;
+      const asset = await this.fetchAsset(symbol, provider, id, range, quote);
+      if (onAsset) onAsset(asset, index);
+      return asset;
+    }));
   }
 }
-    
\ No newline at end of file
+
+// A DataService set up from the providers, store and cache sections of config.json
+export function createDataService(config, { offline = false } = {}) {
+  return new DataService({
+    providers: config.providers,
+    storeOptions: config.store,
+    cache: config.cache,
+    offline
+  });
+}
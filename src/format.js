@@ -0,0 +1,67 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Display helpers shared by the dashboard panels and watchlist columns.
+// Kept free of blessed so they can be tested on their own.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const CURRENCY_SYMBOLS = JSON.parse(readFileSync(path.resolve(__dirname, '../currency.json'), 'utf-8'));
+
+export function formatPrice(price, currency = 'USD') {
+  const symbol = CURRENCY_SYMBOLS[currency] || '$';
+
+  if (!price || isNaN(price)) return `${symbol}0.00`;
+
+  if (price >= 1000) {
+    return `${symbol}${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  } else if (price >= 1) {
+    return `${symbol}${price.toFixed(2)}`;
+  } else {
+    return `${symbol}${price.toFixed(4)}`;
+  }
+}
+
+export function formatSignedPrice(value, currency = 'USD') {
+  const sign = value < 0 ? '-' : '+';
+  return `${sign}${formatPrice(Math.abs(value), currency)}`;
+}
+
+export function formatChange(change) {
+  if (!change || isNaN(change)) return '+0.00%';
+  const sign = change >= 0 ? '+' : '';
+  return `${sign}${change.toFixed(2)}%`;
+}
+
+export function formatNumber(num) {
+  if (!num || isNaN(num)) return 'N/A';
+  if (num >= 1e12) return `${(num / 1e12).toFixed(2)}T`;
+  if (num >= 1e9) return `${(num / 1e9).toFixed(2)}B`;
+  if (num >= 1e6) return `${(num / 1e6).toFixed(2)}M`;
+  if (num >= 1e3) return `${(num / 1e3).toFixed(2)}K`;
+  return num.toLocaleString();
+}
+
+// Ratio given as a fraction, e.g. 0.0041 -> 0.41%
+export function formatPercent(fraction, digits = 2) {
+  if (fraction === null || fraction === undefined || isNaN(fraction)) return 'N/A';
+  return `${(fraction * 100).toFixed(digits)}%`;
+}
+
+// "14m ago", "3h ago" or "in 11d" for a time in milliseconds
+export function formatRelativeTime(time, now = Date.now()) {
+  const minutes = Math.floor(Math.abs(now - time) / 60000);
+  if (minutes < 1) return 'just now';
+  let span = `${minutes}m`;
+  if (minutes >= 60 * 24) span = `${Math.floor(minutes / (60 * 24))}d`;
+  else if (minutes >= 60) span = `${Math.floor(minutes / 60)}h`;
+  return time > now ? `in ${span}` : `${span} ago`;
+}
+
+// Watchlist section an asset is listed under
+export function getAssetCategory(asset) {
+  if (asset.type === 'crypto') return 'crypto';
+  if (asset.symbol.includes(".IS") && asset.type === "ETF") return 'tretf'
+  if (asset.type === 'ETF') return 'etf'
+  return 'stock';
+}
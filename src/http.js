@@ -0,0 +1,88 @@
+import axios from 'axios';
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+
+// Providers send their requests through an `http` client with axios'
+// get(url, { params, headers, timeout }) -> { status, data } signature, and
+// failed requests reject with `error.response.status` set like axios does.
+// Besides plain axios there is a recorder that saves every response as a
+// JSON fixture and a replayer that answers from those fixtures offline.
+export const axiosHttp = { get: (url, options) => axios.get(url, options) };
+
+// Time windows change on every call, so they are left out of fixture names
+const VOLATILE_PARAMS = ['period1', 'period2'];
+const MAX_NAME_LENGTH = 150;
+
+// File name for a request, e.g.
+// query1.finance.yahoo.com_v8_finance_chart_AAPL_interval=1d_range=7d.json
+export function fixtureName(url, params = {}) {
+  const { host, pathname } = new URL(url);
+  const query = Object.keys(params || {})
+    .filter(key => !VOLATILE_PARAMS.includes(key))
+    .sort()
+    .map(key => `${key}=${params[key]}`)
+    .join('_');
+  const name = `${host}${pathname}${query ? `_${query}` : ''}`.replace(/[^a-zA-Z0-9.=-]+/g, '_');
+  if (name.length <= MAX_NAME_LENGTH) return `${name}.json`;
+  const hash = createHash('sha1').update(name).digest('hex').slice(0, 10);
+  return `${name.slice(0, MAX_NAME_LENGTH)}-${hash}.json`;
+}
+
+function responseError(status, data, url) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data };
+  error.config = { url };
+  return error;
+}
+
+// Pass requests on to `http` and save each answer, errors included, to `dir`
+export function createRecordingHttp(dir, http = axiosHttp) {
+  const save = (url, options, status, data) => {
+    try {
+      mkdirSync(dir, { recursive: true });
+      const fixture = { url, params: options.params || {}, status, data };
+      writeFileSync(path.join(dir, fixtureName(url, options.params)), JSON.stringify(fixture, null, 2) + '\n');
+    } catch (error) {
+      console.error('[HTTP] Error saving fixture:', error.message);
+    }
+  };
+
+  return {
+    async get(url, options = {}) {
+      try {
+        const response = await http.get(url, options);
+        save(url, options, response.status, response.data);
+        return response;
+      } catch (error) {
+        if (error.response) save(url, options, error.response.status, error.response.data);
+        throw error;
+      }
+    }
+  };
+}
+
+// Answer from fixtures saved by createRecordingHttp; a request without one
+// fails with a 404 so nothing ever reaches the network
+export function createReplayHttp(dir) {
+  return {
+    async get(url, options = {}) {
+      const file = path.join(dir, fixtureName(url, options.params));
+      if (!existsSync(file)) {
+        const error = responseError(404, null, url);
+        error.message = `No fixture ${path.basename(file)}`;
+        throw error;
+      }
+      const { status = 200, data } = JSON.parse(readFileSync(file, 'utf-8'));
+      if (status >= 400) throw responseError(status, data, url);
+      return { status, data };
+    }
+  };
+}
+
+// STONKS_RECORD=<dir> records every response, STONKS_REPLAY=<dir> replays them
+export function httpFromEnv(env = process.env) {
+  if (env.STONKS_REPLAY) return createReplayHttp(env.STONKS_REPLAY);
+  if (env.STONKS_RECORD) return createRecordingHttp(env.STONKS_RECORD);
+  return axiosHttp;
+}
@@ -1,40 +1,146 @@
 #!/usr/bin/env node
 import blessed from 'blessed';
 import contrib from 'blessed-contrib';
-import chalk from 'chalk';
-import { readFileSync } from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import { DataService } from './dataService.js';
+import { AlertEngine, commandSink } from './alerts.js';
+import { isWebUrl, openUrl } from './browser.js';
+import { buildCandles, renderCandles, renderVolume } from './candles.js';
+import { COLUMNS, layoutColumns, resolveColumns, sortAssets } from './columns.js';
+import { alignPercentChange } from './compare.js';
+import {
+  computeOscillator,
+  computeOverlays,
+  latestIndicatorValues,
+  normalizeIndicatorSettings
+} from './indicators.js';
+import { EXIT_USAGE, isCliCommand, parseDashboardArgs, runCli } from './cli.js';
+import { addWatchlistTicker, getWatchlists, loadConfig, saveConfig, setWatchlistTickers, USER_CONFIG_PATH } from './config.js';
+import { createDataService } from './dataService.js';
+import {
+  formatChange, formatNumber, formatPercent, formatPrice, formatRelativeTime, formatSignedPrice, getAssetCategory
+} from './format.js';
+import { DEFAULT_LAYOUT, GRID_SIZE, resolveLayout, splitRows } from './layout.js';
+import { deriveHoldings, Ledger, ledgerPath } from './ledger.js';
+import { DEFAULT_PERIOD_LABEL, parsePeriods } from './periods.js';
+import { computePortfolio, normalizeHoldings } from './portfolio.js';
+import { ApiServer } from './server.js';
+import { calendarFor, marketSession } from './sessions.js';
+import { canvasColor, loadTheme, paint, tag } from './theme.js';
+
+// Watchlist sections, top to bottom
+const SECTIONS = [
+  { title: '-- CRYPTO --', category: 'crypto' },
+  { title: '-- STOCKS --', category: 'stock' },
+  { title: '-- BIST ETFs --', category: 'tretf' },
+  { title: '-- ETFs --', category: 'etf' }
+];
+
+// Line colors for the compare chart, in watchlist order
+const COMPARE_COLORS = ['yellow', 'cyan', 'magenta', 'green', 'blue', 'red', 'white'];
+
+// Pages of the details panel and their border labels
+const DETAILS_LABELS = { details: ' DETAILS ', news: ' NEWS ', fundamentals: ' FUNDAMENTALS ' };
+
+// How often the news and fundamentals pages ask DataService again; its cache
+// decides whether that reaches the network (cache.ttl.news, .fundamentals)
+const EXTRAS_RECHECK = 60 * 1000;
 
 class StonksDashboard {
-  constructor() {
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = path.dirname(__filename);
-    const CONFIG_PATH = path.resolve(__dirname, '../config.json');
-    const CURRENCY_PATH = path.resolve(__dirname, '../currency.json');
-    this.config = JSON.parse(readFileSync(CONFIG_PATH, 'utf-8'));
-    this.currencySymbols = JSON.parse(readFileSync(CURRENCY_PATH, 'utf-8'));
-    this.dataService = new DataService();
+  constructor({ offline = false, watchlist = null, serve = null, theme = null } = {}) {
+    this.configPath = USER_CONFIG_PATH;
+    this.config = loadConfig();
+    this.theme = loadTheme(theme || this.config.theme);
+    this.dataService = createDataService(this.config, { offline });
+    // Local API sharing this DataService (--serve)
+    this.apiServer = serve
+      ? new ApiServer({
+        dataService: this.dataService,
+        config: this.config,
+        ...serve,
+        onError: message => this.showBanner('API', blessed.escape(message))
+      })
+      : null;
+    // Symbols in the imported ledger take their lots from it
+    const ledger = deriveHoldings(new Ledger(ledgerPath(this.config)).transactions);
+    this.holdings = normalizeHoldings({ ...this.config.holdings, ...ledger.holdings });
+    this.realized = ledger.realized;
+    this.baseCurrency = this.config.baseCurrency || 'USD';
+    this.fxRates = { [this.baseCurrency]: 1 };
+    this.showBaseCurrency = false;
+    this.chartMode = 'line'; // 'line' or 'candle'
+    this.detailsView = 'details'; // 'details', 'news' or 'fundamentals'
+    // Page -> symbol -> last DataService result, with checkedAt
+    this.extras = { news: new Map(), fundamentals: new Map() };
+    this.extrasLoading = new Set();
+    this.newsIndex = 0; // Highlighted headline
+    this.newsSymbol = null;
+    this.indicatorSettings = normalizeIndicatorSettings(this.config.indicators);
+    this.overlays = new Set(this.indicatorSettings.enabled);
+    this.oscillator = null; // null, 'rsi' or 'macd'
+    this.compared = new Set(); // Symbols marked for the compare chart
+    this.columns = resolveColumns(this.config.columns);
+    this.sortColumn = COLUMNS[this.config.sort?.column] ? this.config.sort.column : null; // null keeps config order
+    this.sortDescending = Boolean(this.config.sort?.descending);
+    this.filter = '';
     this.assetsData = [];
     this.prevAssetsData = [];
     this.flashIndices = new Set();
+    this.flashPhase = false;
+    this.banner = null;
+    this.flashThreshold = this.config.alerts?.flashThreshold ?? 2;
+    this.alertEngine = this.createAlertEngine(path.join(this.dataService.cacheDir, 'alerts-state.json'));
     this.selectedIndex = 0;
+    this.modalOpen = false;
     this.isLoading = true;
     this.connectionError = false;
+    this.fetchGeneration = 0;
     
-    // Time periods: 1D, 7D, 30D, 90D
-    this.periods = [
-      { label: '1D', days: 1 },
-      { label: '7D', days: 7 },
-      { label: '30D', days: 30 },
-      { label: '90D', days: 90 }
-    ];
-    this.currentPeriodIndex = 1; // Default 7D
+    this.periods = parsePeriods(this.config.periods);
+    this.currentPeriodIndex = Math.max(0, this.periods.findIndex(p => p.label === DEFAULT_PERIOD_LABEL));
+
+    // Each named watchlist keeps its own selection, period and last rows
+    this.watchlists = getWatchlists(this.config).map(list => ({
+      name: list.name,
+      selectedIndex: 0,
+      periodIndex: this.currentPeriodIndex,
+      assetsData: []
+    }));
+    this.watchlistIndex = Math.max(0, this.watchlists.findIndex(list => list.name === watchlist));
     
     this.initScreen();
     this.initWidgets();
     this.setupKeyHandlers();
+    this.updateWatchlistLabel();
+  }
+
+  // Tickers of the active watchlist, as stored in the config
+  get tickers() {
+    return getWatchlists(this.config)[this.watchlistIndex].tickers;
+  }
+
+  setTickers(tickers) {
+    setWatchlistTickers(this.config, this.watchlists[this.watchlistIndex].name, tickers);
+  }
+
+  createAlertEngine(statePath) {
+    const alerts = this.config.alerts || {};
+    const onError = message => this.showBanner('ALERTS', blessed.escape(message));
+    const engine = new AlertEngine({ rules: alerts.rules, statePath, onError });
+    const sinks = alerts.sinks || ['flash', 'banner', 'bell'];
+
+    if (sinks.includes('flash')) {
+      engine.addSink('flash', alert => this.flashIndices.add(alert.symbol));
+    }
+    if (sinks.includes('banner')) {
+      engine.addSink('banner', alert => this.showBanner('ALERT', alert.message));
+    }
+    if (sinks.includes('bell')) {
+      engine.addSink('bell', () => this.screen.program.bell());
+    }
+    if (alerts.command) {
+      engine.addSink('command', commandSink(alerts.command, onError));
+    }
+    return engine;
   }
 
   initScreen() {
@@ -44,122 +150,588 @@ class StonksDashboard {
       fullUnicode: true
     });
 
-    this.screen.key(['escape', 'q', 'C-c'], () => {
+    this.screen.key(['escape', 'q', 'C-c'], (ch, key) => {
+      // Escape and q answer an open prompt instead of quitting
+      if (this.modalOpen && key.full !== 'C-c') return;
       return process.exit(0);
     });
   }
 
   initWidgets() {
+    this.panelWidgets = [];
+    this.layoutPanels();
+
+    // Status bar at bottom
+    this.statusBar = blessed.box({
+      bottom: 0,
+      left: 0,
+      width: '100%',
+      height: 1,
+      style: {
+        fg: this.theme.statusText,
+        bg: this.theme.statusBackground
+      },
+      tags: true,
+      content: ' Loading...'
+    });
+    this.screen.append(this.statusBar);
+
+    // Loading spinner
+    this.loadingSpinner = blessed.loading({
+      top: 'center',
+      left: 'center',
+      height: 5,
+      width: 40,
+      border: { type: 'line', fg: this.theme.border },
+      style: { border: { fg: this.theme.border } }
+    });
+    this.screen.append(this.loadingSpinner);
+
+    // Prompts for watchlist editing
+    this.prompt = blessed.prompt({
+      parent: this.screen,
+      top: 'center',
+      left: 'center',
+      height: 'shrink',
+      width: '50%',
+      label: ' ADD TICKER ',
+      border: { type: 'line', fg: this.theme.border },
+      style: { border: { fg: this.theme.border } },
+      tags: true,
+      hidden: true
+    });
+    this.question = blessed.question({
+      parent: this.screen,
+      top: 'center',
+      left: 'center',
+      height: 'shrink',
+      width: '50%',
+      label: ' CONFIRM ',
+      border: { type: 'line', fg: this.theme.border },
+      style: { border: { fg: this.theme.border } },
+      tags: true,
+      hidden: true
+    });
+
+    // Matches from the search prompt; Enter adds one, Escape closes
+    this.searchList = blessed.list({
+      parent: this.screen,
+      top: 'center',
+      left: 'center',
+      width: '80%',
+      height: '50%',
+      label: ' SEARCH ',
+      border: { type: 'line', fg: this.theme.border },
+      style: {
+        border: { fg: this.theme.border },
+        item: { fg: this.theme.text },
+        selected: { fg: this.theme.flashText, bg: this.theme.accent }
+      },
+      keys: true,
+      vi: true,
+      tags: true,
+      hidden: true
+    });
+    this.searchList.on('select', (item, index) => {
+      this.searchList.hide();
+      this.modalOpen = false;
+      this.addSearchResult(this.searchResults[index]);
+    });
+    this.searchList.key(['escape', 'q'], () => {
+      this.searchList.hide();
+      this.modalOpen = false;
+      this.screen.render();
+    });
+
+    // Chart canvases are sized when attached and panels may collapse, so a
+    // resize lays the panels out again once the terminal settles
+    this.screen.on('resize', () => {
+      clearTimeout(this.resizeTimer);
+      this.resizeTimer = setTimeout(() => {
+        this.layoutPanels();
+        this.updateWatchlistLabel();
+        [this.statusBar, this.loadingSpinner, this.prompt, this.question, this.searchList].forEach(w => w.setFront());
+        this.refreshDisplay();
+      }, 100);
+    });
+  }
+
+  // Create the panels where config.layout puts them for the current width.
+  // Collapsed panels are still created, hidden, so updates need no checks.
+  layoutPanels() {
+    this.panelWidgets.forEach(widget => widget.destroy());
+    this.panels = resolveLayout(this.config.layout, this.screen.width, this.holdings.size > 0 ? [] : ['portfolio']);
+    const rect = (name) => this.panels[name] || DEFAULT_LAYOUT.panels[name];
+
     const grid = new contrib.grid({
-      rows: 12,
-      cols: 12,
-      screen: this.screen
+      rows: GRID_SIZE,
+      cols: GRID_SIZE,
+      screen: this.screen,
+      color: this.theme.border
+    });
+    const place = (area, widget, options) => {
+      const instance = grid.set(...area, widget, options);
+      this.panelWidgets.push(instance);
+      return instance;
+    };
+    const boxOptions = (label, hidden) => ({
+      label,
+      border: { type: 'line', fg: this.theme.border },
+      style: {
+        border: { fg: this.theme.border }
+      },
+      tags: true,
+      hidden,
+      content: ' '
     });
 
     // Watchlist table - left column
-    this.watchlistTable = grid.set(0, 0, 12, 4, contrib.table, {
+    this.watchlistTable = place(rect('watchlist'), contrib.table, {
       keys: false,
       vi: false,
       mouse: false,
       interactive: false,
       label: ' WATCHLIST ',
-      border: { type: 'line', fg: 'cyan' },
-      fg: 'white',
+      border: { type: 'line', fg: this.theme.border },
+      fg: this.theme.text,
       columnSpacing: 1,
-      columnWidth: [15, 12, 10]
+      columnWidth: [11, 12, 9]
     });
 
     // Trend chart - top right
-    this.trendChart = grid.set(0, 4, 7, 8, contrib.line, {
-      label: ' PRICE TREND (7D) ',
-      border: { type: 'line', fg: 'cyan' },
+    const lineChartOptions = (label, hidden) => ({
+      label,
+      border: { type: 'line', fg: this.theme.border },
       style: {
-        line: 'green',
-        text: 'white',
-        baseline: 'white',
-        border: { fg: 'cyan' }
+        line: canvasColor(this.theme.up),
+        text: canvasColor(this.theme.text),
+        baseline: canvasColor(this.theme.text),
+        border: { fg: this.theme.border }
       },
       showLegend: false,
+      legend: { width: 14 },
       xPadding: 3,
       yPadding: 1,
       wholeNumbersOnly: false,
-      minY: null  // Auto-scale, don't start at 0
+      minY: null,  // Auto-scale, don't start at 0
+      hidden
     });
+    const chart = rect('chart');
+    const noChart = !this.panels.chart;
+    this.trendChart = place(chart, contrib.line, lineChartOptions(' PRICE TREND (7D) ', noChart));
 
-    // Details box - bottom right
-    this.detailsBox = grid.set(7, 4, 5, 8, blessed.box, {
-      label: ' DETAILS ',
-      border: { type: 'line', fg: 'cyan' },
-      style: {
-        border: { fg: 'cyan' }
-      },
-      tags: true,
-      content: ' '
+    // Shorter trend chart + RSI/MACD sub-panel, shown instead when an oscillator is enabled
+    const [trendArea, oscillatorArea] = splitRows(chart, 4 / 7);
+    this.compactTrendChart = place(trendArea, contrib.line, lineChartOptions(' PRICE TREND ', true));
+    this.oscillatorChart = place(oscillatorArea, contrib.line, lineChartOptions(' OSCILLATOR ', true));
+
+    // Candlestick chart + volume histogram - same area as the trend chart, shown in candle mode
+    const [candleArea, volumeArea] = splitRows(chart, 5 / 7);
+    this.candleBox = place(candleArea, blessed.box, boxOptions(' OHLC ', true));
+    this.volumeBox = place(volumeArea, blessed.box, boxOptions(' VOLUME ', true));
+    this.updateChartVisibility();
+
+    // Details box - bottom right, sharing the row with the portfolio panel when holdings exist
+    this.detailsBox = place(rect('details'), blessed.box, boxOptions(DETAILS_LABELS[this.detailsView], !this.panels.details));
+
+    // Portfolio box - bottom right, next to details
+    this.portfolioBox = this.panels.portfolio
+      ? place(this.panels.portfolio, blessed.box, boxOptions(' PORTFOLIO ', false))
+      : null;
+  }
+
+  setupKeyHandlers() {
+    // Up/down follow the rows as rendered (sections, sort and filter)
+    this.screen.key(['up', 'k'], () => this.moveSelection(-1));
+    this.screen.key(['down', 'j'], () => this.moveSelection(1));
+
+    // Period switch keys, 1-9 in config order
+    this.periods.slice(0, 9).forEach((_, i) => {
+      this.screen.key([String(i + 1)], () => this.switchPeriod(i));
     });
 
-    // Status bar at bottom
-    this.statusBar = blessed.box({
-      bottom: 0,
-      left: 0,
-      width: '100%',
-      height: 1,
-      style: {
-        fg: 'cyan',
-        bg: 'black'
-      },
-      tags: true,
-      content: ' Loading...'
+    // Toggle native / base currency
+    this.screen.key(['c'], () => {
+      if (this.modalOpen) return;
+      this.showBaseCurrency = !this.showBaseCurrency;
+      this.refreshDisplay();
     });
-    this.screen.append(this.statusBar);
 
-    // Loading spinner
-    this.loadingSpinner = blessed.loading({
-      top: 'center',
-      left: 'center',
-      height: 5,
-      width: 40,
-      border: { type: 'line', fg: 'cyan' },
-      style: { border: { fg: 'cyan' } }
+    // Toggle line / candlestick chart
+    this.screen.key(['m'], () => {
+      if (this.modalOpen) return;
+      this.chartMode = this.chartMode === 'line' ? 'candle' : 'line';
+      this.updateChartVisibility();
+      this.refreshDisplay();
     });
-    this.screen.append(this.loadingSpinner);
+
+    // News and fundamentals pages in the details panel; on the news page
+    // [ and ] pick a headline and Enter opens it
+    this.screen.key(['n'], () => this.toggleDetailsView('news'));
+    this.screen.key(['i'], () => this.toggleDetailsView('fundamentals'));
+    this.screen.key(['['], () => this.moveNewsSelection(-1));
+    this.screen.key([']'], () => this.moveNewsSelection(1));
+    this.screen.key(['enter'], () => this.openSelectedHeadline());
+
+    // Indicator overlays and the oscillator sub-panel (none -> RSI -> MACD)
+    this.screen.key(['s'], () => this.toggleOverlay('sma'));
+    this.screen.key(['e'], () => this.toggleOverlay('ema'));
+    this.screen.key(['b'], () => this.toggleOverlay('bollinger'));
+    this.screen.key(['v'], () => this.toggleOverlay('vwap'));
+    this.screen.key(['r'], () => {
+      if (this.modalOpen) return;
+      const cycle = [null, 'rsi', 'macd'];
+      this.oscillator = cycle[(cycle.indexOf(this.oscillator) + 1) % cycle.length];
+      this.updateChartVisibility();
+      this.refreshDisplay();
+    });
+
+    // Cycle named watchlists
+    this.screen.key(['tab'], () => this.switchWatchlist(1));
+    this.screen.key(['S-tab'], () => this.switchWatchlist(-1));
+
+    // Sort by the next column (o) or flip the direction (O); / filters by symbol
+    this.screen.key(['o'], () => {
+      if (this.modalOpen) return;
+      const cycle = [null, ...this.columns];
+      this.sortColumn = cycle[(cycle.indexOf(this.sortColumn) + 1) % cycle.length];
+      this.refreshDisplay();
+    });
+    this.screen.key(['S-o'], () => {
+      if (this.modalOpen) return;
+      this.sortDescending = !this.sortDescending;
+      this.refreshDisplay();
+    });
+    this.screen.key(['/'], () => this.promptFilter());
+
+    // Mark rows for the compare chart; X clears all marks
+    this.screen.key(['x', 'space'], () => this.toggleCompare());
+    this.screen.key(['S-x'], () => {
+      if (this.modalOpen) return;
+      this.compared.clear();
+      this.refreshDisplay();
+    });
+
+    // Watchlist editing
+    this.screen.key(['a'], () => this.promptAddTicker());
+    this.screen.key(['f'], () => this.promptSearch());
+    this.screen.key(['d', 'delete'], () => this.confirmRemoveTicker());
+    this.screen.key(['S-k', 'S-up'], () => this.moveSelectedTicker(-1));
+    this.screen.key(['S-j', 'S-down'], () => this.moveSelectedTicker(1));
   }
 
-  setupKeyHandlers() {
-    // Arrow up
-    this.screen.key(['up', 'k'], () => {
-      if (this.assetsData.length === 0) return;
-      if (this.selectedIndex > 0) {
-        this.selectedIndex--;
-        this.refreshDisplay();
+  toggleOverlay(kind) {
+    if (this.modalOpen) return;
+    if (this.overlays.has(kind)) {
+      this.overlays.delete(kind);
+    } else {
+      this.overlays.add(kind);
+    }
+    this.refreshDisplay();
+  }
+
+  // Show the chart widgets for the current mode: candles + volume, a full
+  // trend chart, or a shorter trend chart with the oscillator underneath
+  updateChartVisibility() {
+    const shown = Boolean(this.panels.chart);
+    const candle = shown && this.chartMode === 'candle';
+    const split = shown && !candle && this.oscillator !== null;
+    this.candleBox[candle ? 'show' : 'hide']();
+    this.volumeBox[candle ? 'show' : 'hide']();
+    this.trendChart[shown && !candle && !split ? 'show' : 'hide']();
+    this.compactTrendChart[split ? 'show' : 'hide']();
+    this.oscillatorChart[split ? 'show' : 'hide']();
+  }
+
+  toggleDetailsView(view) {
+    if (this.modalOpen) return;
+    this.detailsView = this.detailsView === view ? 'details' : view;
+    this.detailsBox.setLabel(DETAILS_LABELS[this.detailsView]);
+    this.refreshDisplay();
+  }
+
+  // Last news or fundamentals of `symbol`, asked for again in the background
+  // once EXTRAS_RECHECK old; undefined until the first answer arrives
+  currentExtra(view, symbol) {
+    const data = this.extras[view].get(symbol);
+    if (!data || Date.now() - data.checkedAt > EXTRAS_RECHECK) this.loadExtra(view, symbol);
+    return data;
+  }
+
+  async loadExtra(view, symbol) {
+    const key = `${view}:${symbol}`;
+    if (this.extrasLoading.has(key)) return;
+    this.extrasLoading.add(key);
+    const method = view === 'news' ? 'fetchNews' : 'fetchFundamentals';
+    try {
+      // Sources without the page answer null
+      const data = await this.dataService[method](symbol, this.config.cryptoIds);
+      this.extras[view].set(symbol, { ...data, unsupported: data === null, checkedAt: Date.now() });
+    } catch (error) {
+      this.extras[view].set(symbol, { error: error.message, checkedAt: Date.now() });
+    } finally {
+      this.extrasLoading.delete(key);
+    }
+    if (this.detailsView === view) this.refreshDisplay();
+  }
+
+  moveNewsSelection(direction) {
+    if (this.modalOpen || this.detailsView !== 'news') return;
+    const items = this.extras.news.get(this.newsSymbol)?.items || [];
+    this.newsIndex = Math.max(0, Math.min(items.length - 1, this.newsIndex + direction));
+    this.refreshDisplay();
+  }
+
+  // Open the highlighted headline in the browser, or show its URL in the
+  // status bar where no browser can be started
+  async openSelectedHeadline() {
+    if (this.modalOpen || this.detailsView !== 'news') return;
+    const item = this.extras.news.get(this.newsSymbol)?.items?.[this.newsIndex];
+    if (!item) return;
+    // Feed links are shown verbatim, never read as blessed tags
+    const url = blessed.escape(item.url || '');
+    if (!isWebUrl(item.url)) {
+      this.showBanner('NEWS', 'This headline has no web link', this.theme.warning);
+    } else if (await openUrl(item.url)) {
+      this.showBanner('NEWS', `Opened ${url}`, this.theme.up);
+    } else {
+      this.showBanner('NEWS', url, this.theme.accent);
+    }
+    this.refreshDisplay();
+  }
+
+  showBanner(label, message, color = this.theme.error) {
+    this.banner = { label, message, color, until: Date.now() + 15000 };
+  }
+
+  promptAddTicker() {
+    if (this.modalOpen) return;
+    this.modalOpen = true;
+    this.prompt.setLabel(' ADD TICKER ');
+    this.prompt.input('Ticker (AAPL, THYAO.IS, or crypto:BTC for a coin):', '', async (err, value) => {
+      this.modalOpen = false;
+      const input = (value || '').trim();
+      if (err || !input) {
+        this.screen.render();
+        return;
       }
+
+      this.loadingSpinner.load(`Looking up ${input}...`);
+      this.screen.render();
+      try {
+        const { symbol, cryptoId } = await this.dataService.lookupTicker(input);
+        if (this.tickers.includes(symbol)) {
+          this.showBanner('WATCHLIST', `${symbol} is already in the watchlist`, this.theme.warning);
+        } else {
+          this.setTickers([...this.tickers, symbol]);
+          if (cryptoId) {
+            this.config.cryptoIds = { ...this.config.cryptoIds, [symbol]: cryptoId };
+          }
+          await this.appendTicker(symbol, cryptoId);
+        }
+      } catch (error) {
+        this.showBanner('WATCHLIST', error.message);
+      }
+      this.loadingSpinner.stop();
+      this.refreshDisplay();
     });
+  }
+
+  // Save a ticker just added to the config and fetch its row
+  async appendTicker(symbol, cryptoId) {
+    this.persistConfig();
+
+    const period = this.periods[this.currentPeriodIndex];
+    const [asset] = await this.dataService.fetchAllAssets([symbol], this.config.cryptoIds, period);
+    this.assetsData.push(asset);
+    this.selectedIndex = this.assetsData.length - 1;
+    this.showBanner('WATCHLIST', `Added ${symbol}${cryptoId ? ` (${cryptoId})` : ''}`, this.theme.up);
+  }
+
+  // Look a name or ticker up on every source and list the matches to pick from
+  promptSearch() {
+    if (this.modalOpen) return;
+    this.modalOpen = true;
+    this.prompt.setLabel(' SEARCH ');
+    this.prompt.input('Name or ticker (Apple, THYAO, solana):', '', async (err, value) => {
+      const query = (value || '').trim();
+      if (err || !query) {
+        this.modalOpen = false;
+        this.screen.render();
+        return;
+      }
+
+      this.loadingSpinner.load(`Searching ${query}...`);
+      this.screen.render();
+      let found;
+      try {
+        found = await this.dataService.searchAssets(query);
+      } catch (error) {
+        found = { results: [], errors: [error.message] };
+      }
+      this.loadingSpinner.stop();
 
-    // Arrow down
-    this.screen.key(['down', 'j'], () => {
-      if (this.assetsData.length === 0) return;
-      if (this.selectedIndex < this.assetsData.length - 1) {
-        this.selectedIndex++;
+      const { results, errors } = found;
+      if (results.length === 0) {
+        this.modalOpen = false;
+        this.showBanner('SEARCH', errors[0] || `No matches for ${query}`, errors.length > 0 ? this.theme.error : this.theme.warning);
         this.refreshDisplay();
+        return;
       }
+
+      // Sources that failed are named in the title; the others still list their matches
+      this.searchResults = results;
+      this.searchList.setLabel(` SEARCH "${query}"${errors.length > 0 ? ` (${errors.map(e => e.split(':')[0]).join(', ')} failed)` : ''} `);
+      this.searchList.setItems(results.map(result => [
+        result.symbol.padEnd(12),
+        (result.name || '').slice(0, 30).padEnd(30),
+        (result.exchange || '').padEnd(14),
+        (result.type || '').padEnd(8),
+        result.currency || '',
+        result.cryptoId ? ` ${tag(this.theme.muted, result.cryptoId)}` : ''
+      ].join(' ')));
+      this.searchList.height = Math.min(results.length + 2, Math.max(3, Math.floor(this.screen.height / 2)));
+      this.searchList.select(0);
+      this.searchList.show();
+      this.searchList.focus();
+      this.screen.render();
+    });
+  }
+
+  async addSearchResult(result) {
+    try {
+      addWatchlistTicker(this.config, this.watchlists[this.watchlistIndex].name, result);
+      await this.appendTicker(result.symbol, result.cryptoId);
+    } catch (error) {
+      this.showBanner('WATCHLIST', error.message);
+    }
+    this.refreshDisplay();
+  }
+
+  confirmRemoveTicker() {
+    const asset = this.assetsData[this.selectedIndex];
+    if (!asset || this.modalOpen) return;
+
+    this.modalOpen = true;
+    this.question.ask(`Remove ${asset.symbol} from the watchlist?`, (err, confirmed) => {
+      this.modalOpen = false;
+      if (err || !confirmed) {
+        this.screen.render();
+        return;
+      }
+
+      this.setTickers(this.tickers.filter(t => t !== asset.symbol));
+      // Other watchlists may still hold the coin
+      const stillListed = getWatchlists(this.config).some(list => list.tickers.includes(asset.symbol));
+      if (this.config.cryptoIds?.[asset.symbol] && !stillListed) {
+        const { [asset.symbol]: removed, ...cryptoIds } = this.config.cryptoIds;
+        this.config.cryptoIds = cryptoIds;
+      }
+      this.persistConfig();
+
+      this.assetsData = this.assetsData.filter(a => a !== asset);
+      this.selectedIndex = Math.max(0, Math.min(this.selectedIndex, this.assetsData.length - 1));
+      this.showBanner('WATCHLIST', `Removed ${asset.symbol}`, this.theme.up);
+      this.refreshDisplay();
     });
+  }
+
+  // Swap the selected ticker with its nearest neighbour in the same watchlist
+  // section, since rows are grouped by category on screen
+  moveSelectedTicker(direction) {
+    const asset = this.assetsData[this.selectedIndex];
+    if (!asset || this.modalOpen) return;
+    if (this.sortColumn || this.filter) {
+      this.showBanner('WATCHLIST', 'Clear the sort (o) and filter (/) to reorder tickers', this.theme.warning);
+      this.updateStatusBar();
+      this.screen.render();
+      return;
+    }
+
+    const category = getAssetCategory(asset);
+    let target = this.selectedIndex + direction;
+    while (target >= 0 && target < this.assetsData.length
+      && getAssetCategory(this.assetsData[target]) !== category) {
+      target += direction;
+    }
+    if (target < 0 || target >= this.assetsData.length) return;
+
+    const other = this.assetsData[target];
+    this.assetsData[target] = asset;
+    this.assetsData[this.selectedIndex] = other;
+
+    const tickers = this.tickers;
+    const from = tickers.indexOf(asset.symbol);
+    const to = tickers.indexOf(other.symbol);
+    if (from !== -1 && to !== -1) {
+      [tickers[from], tickers[to]] = [tickers[to], tickers[from]];
+      this.persistConfig();
+    }
+
+    this.selectedIndex = target;
+    this.refreshDisplay();
+  }
 
-    // Period switch keys
-    this.screen.key(['1'], () => this.switchPeriod(0));
-    this.screen.key(['2'], () => this.switchPeriod(1));
-    this.screen.key(['3'], () => this.switchPeriod(2));
-    this.screen.key(['4'], () => this.switchPeriod(3));
+  persistConfig() {
+    // The watchlist changed: results of a fetch still running for the old list are dropped
+    this.fetchGeneration++;
+    try {
+      saveConfig(this.configPath, this.config);
+    } catch (error) {
+      this.showBanner('CONFIG', `Could not save config: ${error.message}`);
+    }
   }
 
   refreshDisplay() {
     this.updateWatchlistTable();
     this.updateChartPanel();
     this.updateDetailsPanel();
+    this.updatePortfolioPanel();
     this.updateStatusBar();
     this.screen.render();
   }
 
+  // Names of all lists as tabs in the watchlist border, the active one bracketed
+  updateWatchlistLabel() {
+    const filter = this.filter ? ` /${this.filter}` : '';
+    if (this.watchlists.length < 2) {
+      this.watchlistTable.setLabel(` WATCHLIST${filter} `);
+      return;
+    }
+    const tabs = this.watchlists.map((list, i) => (i === this.watchlistIndex ? `[${list.name}]` : list.name));
+    this.watchlistTable.setLabel(` ${tabs.join(' | ')}${filter} `);
+  }
+
+  async switchWatchlist(direction) {
+    if (this.watchlists.length < 2 || this.modalOpen) return;
+
+    Object.assign(this.watchlists[this.watchlistIndex], {
+      selectedIndex: this.selectedIndex,
+      periodIndex: this.currentPeriodIndex,
+      assetsData: this.assetsData
+    });
+    this.watchlistIndex = (this.watchlistIndex + direction + this.watchlists.length) % this.watchlists.length;
+    const next = this.watchlists[this.watchlistIndex];
+    this.selectedIndex = next.selectedIndex;
+    this.currentPeriodIndex = next.periodIndex;
+    this.assetsData = next.assetsData;
+    this.flashIndices.clear();
+    this.fetchGeneration++; // Drop rows still streaming in for the previous list
+    this.updateWatchlistLabel();
+
+    if (this.assetsData.length === 0) {
+      this.loadingSpinner.load(`Loading ${next.name}...`);
+    }
+    this.refreshDisplay();
+
+    await this.fetchData();
+
+    this.loadingSpinner.stop();
+    this.refreshDisplay();
+  }
+
   async switchPeriod(periodIndex) {
-    if (periodIndex < 0 || periodIndex >= this.periods.length) return;
+    if (this.modalOpen || periodIndex < 0 || periodIndex >= this.periods.length) return;
     if (this.currentPeriodIndex === periodIndex) return;
     
     this.currentPeriodIndex = periodIndex;
@@ -173,77 +745,124 @@ class StonksDashboard {
     this.refreshDisplay();
   }
 
-  formatPrice(price, currency = 'USD') {
-    const symbol = this.currencySymbols[currency] || '$';
-
-    if (!price || isNaN(price)) return `${symbol}0.00`;
+  // Copy of the asset with money fields converted to the base currency when
+  // that view is active and a rate is known; percentages are left as is
+  toDisplayCurrency(asset) {
+    if (!this.showBaseCurrency || !asset) return asset;
+    const rate = this.fxRates[asset.currency || 'USD'];
+    if (!rate || rate === 1) return { ...asset, currency: rate ? this.baseCurrency : asset.currency };
 
-    if (price >= 1000) {
-      return `${symbol}${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
-    } else if (price >= 1) {
-      return `${symbol}${price.toFixed(2)}`;
-    } else {
-      return `${symbol}${price.toFixed(4)}`;
+    const converted = { ...asset, currency: this.baseCurrency };
+    for (const field of ['price', 'open', 'previousClose', 'high', 'low', 'high52w', 'low52w', 'marketCap', 'preMarketPrice', 'postMarketPrice']) {
+      if (typeof asset[field] === 'number') converted[field] = asset[field] * rate;
+    }
+    converted.history = (asset.history || []).map(v => v * rate);
+    if (asset.ohlcv) {
+      converted.ohlcv = { ...asset.ohlcv };
+      for (const field of ['open', 'high', 'low', 'close']) {
+        converted.ohlcv[field] = (asset.ohlcv[field] || []).map(v => v * rate);
+      }
     }
+    return converted;
   }
 
-  formatChange(change) {
-    if (!change || isNaN(change)) return '+0.00%';
-    const sign = change >= 0 ? '+' : '';
-    return `${sign}${change.toFixed(2)}%`;
+  // Watchlist sections as rendered: grouped by category, filtered, then sorted
+  visibleSections() {
+    const filter = this.filter.toLowerCase();
+    const visible = this.assetsData.filter(a => !filter || a.symbol.toLowerCase().includes(filter));
+    return SECTIONS
+      .map(({ title, category }) => {
+        const assets = visible.filter(a => getAssetCategory(a) === category);
+        return {
+          title,
+          assets: this.sortColumn
+            ? sortAssets(assets, this.sortColumn, this.sortDescending, a => this.toDisplayCurrency(a))
+            : assets
+        };
+      })
+      .filter(section => section.assets.length > 0);
+  }
+
+  // Indices into assetsData in rendered row order
+  displayOrder() {
+    return this.visibleSections().flatMap(section => section.assets.map(a => this.assetsData.indexOf(a)));
+  }
+
+  moveSelection(direction) {
+    if (this.modalOpen) return;
+    const order = this.displayOrder();
+    if (order.length === 0) return;
+    const position = order.indexOf(this.selectedIndex);
+    const next = position === -1 ? 0 : position + direction;
+    if (next < 0 || next >= order.length) return;
+    this.selectedIndex = order[next];
+    this.refreshDisplay();
   }
 
-  getAssetCategory(asset) {
-    if (asset.type === 'crypto') return 'crypto';
-    if (asset.symbol.includes(".IS") && asset.type === "ETF") return 'tretf'
-    if (asset.type === 'ETF') return 'etf'
-    return 'stock';
+  promptFilter() {
+    if (this.modalOpen) return;
+    this.modalOpen = true;
+    this.prompt.setLabel(' FILTER ');
+    this.prompt.input('Symbol contains (empty clears):', this.filter, (err, value) => {
+      this.modalOpen = false;
+      if (err) {
+        this.screen.render();
+        return;
+      }
+
+      this.filter = (value || '').trim();
+      const order = this.displayOrder();
+      if (order.length > 0 && !order.includes(this.selectedIndex)) {
+        this.selectedIndex = order[0];
+      }
+      this.updateWatchlistLabel();
+      this.refreshDisplay();
+    });
   }
 
   updateWatchlistTable() {
     if (this.assetsData.length === 0) return;
 
-    const headers = ['SYMBOL', 'PRICE', 'CHANGE'];
+    // Columns that do not fit the panel are dropped; the sparkline takes the rest
+    const columns = layoutColumns(this.columns, this.watchlistTable.width - 4);
+    const headers = columns.map(column => {
+      if (column.key !== this.sortColumn) return column.header;
+      return `${column.header}${this.sortDescending ? '▼' : '▲'}`;
+    });
     const rows = [];
-    
-    // Separate by type
-    const cryptos = this.assetsData.filter(a => this.getAssetCategory(a) === 'crypto');
-    const stocks = this.assetsData.filter(a => this.getAssetCategory(a) === 'stock');
-    const etfs = this.assetsData.filter(a => this.getAssetCategory(a) === 'etf');
-    const tretfs = this.assetsData.filter(a => this.getAssetCategory(a) === 'tretf');
-    
-    const addSection = (title, assets) => {
-      if (assets.length === 0) return;
-      rows.push([chalk.cyan(title), '', '']);
-      
+
+    for (const { title, assets } of this.visibleSections()) {
+      // The section title runs on across cells, which are exactly their width wide
+      let offset = 0;
+      rows.push(columns.map(column => {
+        const part = title.slice(offset, offset + column.width);
+        offset += column.width;
+        return part ? paint(this.theme.accent, part) : '';
+      }));
+
       for (const asset of assets) {
         const isSelected = this.assetsData.indexOf(asset) === this.selectedIndex;
-        const prefix = isSelected ? '>' : ' ';
-        const symbol = `${prefix}${asset.symbol}`;
-        const price = this.formatPrice(asset.price, asset.currency);
-        const change = this.formatChange(asset.change);
-        
-        if (isSelected) {
-          rows.push([
-            chalk.white(symbol.padEnd(12)),
-            chalk.white(price.padEnd(11)),
-            asset.change >= 0 ? chalk.green(change) : chalk.red(change)
-          ]);
-        } else {
-          rows.push([
-            chalk.white(symbol),
-            chalk.white(price),
-            asset.change >= 0 ? chalk.green(change) : chalk.red(change)
-          ]);
-        }
+        const isFlashing = this.flashPhase && this.flashIndices.has(asset.symbol);
+        const display = this.toDisplayCurrency(asset);
+
+        rows.push(columns.map(column => {
+          let text = column.format(display, column.width);
+          if (column.key === 'symbol') {
+            text = `${isSelected ? '>' : ' '}${this.sessionMarker(asset)}${text}${this.compared.has(asset.symbol) ? '*' : ''}`;
+          }
+
+          // Signed values keep their color; other cells carry the selection and flash
+          if (column.sign) {
+            return paint(column.sign(display) >= 0 ? this.theme.up : this.theme.down, text);
+          }
+          const visible = text.replace(/\x1b\[[0-9;]*m/g, '').length;
+          const padded = isSelected ? text + ' '.repeat(Math.max(0, column.width - 3 - visible)) : text;
+          return isFlashing ? paint(this.theme.flashText, padded, this.theme.flash) : paint(this.theme.text, padded);
+        }));
       }
-    };
-    
-    addSection('-- CRYPTO --', cryptos);
-    addSection('-- STOCKS --', stocks);
-    addSection('-- BIST ETFs --', tretfs);
-    addSection('-- ETFs --', etfs);
+    }
 
+    this.watchlistTable.options.columnWidth = columns.map(column => column.width);
     this.watchlistTable.setData({ headers, data: rows });
   }
 
@@ -253,8 +872,13 @@ class StonksDashboard {
       this.selectedIndex = this.assetsData.length - 1;
     }
 
-    const asset = this.assetsData[this.selectedIndex];
+    const asset = this.toDisplayCurrency(this.assetsData[this.selectedIndex]);
     if (!asset) return;
+
+    if (this.chartMode === 'candle') {
+      this.updateCandlePanel(asset);
+      return;
+    }
     
     // Filter out null/undefined values for history
     const rawHistory = asset.history || [];
@@ -271,7 +895,136 @@ class StonksDashboard {
     const period = this.periods[this.currentPeriodIndex];
     const len = history.length;
 
-    // Generate clean X-axis labels (prefer timestamps)
+    const x = this.axisLabels(hasTimestamps ? rawTs : null, len, period);
+
+    const lineColor = canvasColor(asset.change >= 0 ? this.theme.up : this.theme.down);
+    const category = getAssetCategory(asset);
+    const typeLabel = category === 'crypto' ? 'CRYPTO' : (category === 'etf' ? 'ETF' : 'STOCK');
+    const chart = this.oscillator ? this.compactTrendChart : this.trendChart;
+
+    if (this.comparedAssets().length > 1) {
+      this.updateCompareChart(chart, period);
+      if (this.oscillator) {
+        this.updateOscillatorPanel(history, x);
+      }
+      return;
+    }
+    
+    chart.setLabel(` ${asset.symbol} | ${typeLabel} | ${period.label} `);
+
+    // Overlays start on the price line until they have enough data points
+    const overlays = computeOverlays(history, asset.ohlcv, this.indicatorSettings, this.overlays)
+      .map(o => ({ ...o, values: o.values.map((v, i) => v ?? history[i]) }));
+    
+    // Calculate min/max for proper Y scaling (add 5% padding)
+    const plotted = [history, ...overlays.map(o => o.values)].flat();
+    const minVal = Math.min(...plotted);
+    const maxVal = Math.max(...plotted);
+    const padding = (maxVal - minVal) * 0.05 || 1;
+
+    chart.options.minY = minVal - padding;
+    chart.options.maxY = maxVal + padding;
+    this.setLegend(chart, overlays.length > 0);
+
+    chart.setData([{
+      title: asset.symbol,
+      x: x,
+      y: history,
+      style: { line: lineColor }
+    }, ...overlays.map(o => ({
+      title: o.title,
+      x: x,
+      y: o.values,
+      style: { line: this.chartColor(o.color) }
+    }))]);
+
+    if (this.oscillator) {
+      this.updateOscillatorPanel(history, x);
+    }
+  }
+
+  // Fixed chart and indicator colors, remapped by the theme palette
+  chartColor(color) {
+    return canvasColor(this.theme.line(color));
+  }
+
+  updateOscillatorPanel(history, x) {
+    const oscillator = computeOscillator(history, this.indicatorSettings, this.oscillator);
+
+    // Fill the warm-up period with the first computed value so lines stay flat
+    const series = oscillator.series.map(s => {
+      const first = s.values.find(v => v !== null) ?? 0;
+      return { ...s, values: s.values.map(v => v ?? first) };
+    });
+    const plotted = series.flatMap(s => s.values);
+    const minVal = oscillator.minY ?? Math.min(...plotted);
+    const maxVal = oscillator.maxY ?? Math.max(...plotted);
+    const padding = (maxVal - minVal) * 0.05 || 1;
+
+    this.oscillatorChart.setLabel(` ${oscillator.title} `);
+    this.oscillatorChart.options.minY = minVal - padding;
+    this.oscillatorChart.options.maxY = maxVal + padding;
+    this.setLegend(this.oscillatorChart, true);
+    this.oscillatorChart.setData(series.map(s => ({
+      title: s.title,
+      x: x,
+      y: s.values,
+      style: { line: this.chartColor(s.color) }
+    })));
+  }
+
+  // Marked rows plus the selected one, in watchlist order
+  comparedAssets() {
+    if (this.compared.size === 0) return [];
+    const selected = this.assetsData[this.selectedIndex]?.symbol;
+    return this.assetsData.filter(a => this.compared.has(a.symbol) || a.symbol === selected);
+  }
+
+  toggleCompare() {
+    const asset = this.assetsData[this.selectedIndex];
+    if (!asset || this.modalOpen) return;
+    if (this.compared.has(asset.symbol)) {
+      this.compared.delete(asset.symbol);
+    } else {
+      this.compared.add(asset.symbol);
+    }
+    this.refreshDisplay();
+  }
+
+  // Every compared asset rebased to 0% at the start of the period, on one time axis
+  updateCompareChart(chart, period) {
+    const assets = this.comparedAssets();
+    const { timestamps, lines } = alignPercentChange(assets.map(a => ({
+      symbol: a.symbol,
+      timestamps: a.timestamps,
+      prices: a.history
+    })));
+    if (lines.length === 0) return;
+
+    const x = this.axisLabels(timestamps, timestamps.length, period);
+    const values = lines.flatMap(l => l.values);
+    const minVal = Math.min(...values);
+    const maxVal = Math.max(...values);
+    const padding = (maxVal - minVal) * 0.05 || 1;
+
+    chart.setLabel(` COMPARE | ${period.label} | % CHANGE `);
+    chart.options.minY = minVal - padding;
+    chart.options.maxY = maxVal + padding;
+    this.setLegend(chart, true);
+
+    chart.setData(lines.map((line, i) => {
+      const last = line.values[line.values.length - 1];
+      return {
+        title: `${line.symbol} ${last >= 0 ? '+' : ''}${last.toFixed(1)}%`,
+        x,
+        y: line.values,
+        style: { line: this.chartColor(COMPARE_COLORS[i % COMPARE_COLORS.length]) }
+      };
+    }));
+  }
+
+  // Sparse X-axis labels for `len` points, from timestamps when available
+  axisLabels(timestamps, len, period) {
     const numLabels = Math.min(10, len);
     const step = Math.max(1, Math.floor(len / numLabels));
 
@@ -280,70 +1033,128 @@ class StonksDashboard {
       const isTick = (i === 0 || i === len - 1 || i % step === 0);
       if (!isTick) { x.push(' '); continue; }
 
-      if (hasTimestamps) {
-        const ts = rawTs[i];
-        const d = new Date(ts);
-        if (period.days === 1) {
+      if (timestamps) {
+        // Label granularity follows the span actually shown, so MAX or a
+        // young asset on 5Y get years or months rather than days
+        const spanDays = (timestamps[len - 1] - timestamps[0]) / 86400000;
+        const d = new Date(timestamps[i]);
+        const m = String(d.getMonth() + 1).padStart(2, '0');
+        if (spanDays <= 1.5) {
           const hh = String(d.getHours()).padStart(2, '0');
           const mm = String(d.getMinutes()).padStart(2, '0');
           x.push(`${hh}:${mm}`);
-        } else if (period.days <= 7) {
-          const m = String(d.getMonth() + 1).padStart(2, '0');
+        } else if (spanDays <= 10) {
           const day = String(d.getDate()).padStart(2, '0');
           x.push(`${m}/${day}`);
-        } else {
-          const m = String(d.getMonth() + 1).padStart(2, '0');
+        } else if (spanDays <= 120) {
           x.push(`${m}`);
+        } else if (spanDays <= 3 * 365) {
+          x.push(`${m}/${String(d.getFullYear()).slice(2)}`);
+        } else {
+          x.push(`${d.getFullYear()}`);
         }
       } else {
         // Fallback: index-based labels
         x.push(period.days === 1 ? `${i}h` : `${i + 1}`);
       }
     }
+    return x;
+  }
+
+  // contrib.line only adds a legend box; drop the old one when it is turned off
+  setLegend(chart, visible) {
+    chart.options.showLegend = visible;
+    if (!visible && chart.legend) {
+      chart.remove(chart.legend);
+      chart.legend = null;
+    }
+  }
 
-    const lineColor = asset.change >= 0 ? 'green' : 'red';
-    const category = this.getAssetCategory(asset);
+  updateCandlePanel(asset) {
+    const period = this.periods[this.currentPeriodIndex];
+    const category = getAssetCategory(asset);
     const typeLabel = category === 'crypto' ? 'CRYPTO' : (category === 'etf' ? 'ETF' : 'STOCK');
-    
-    this.trendChart.setLabel(` ${asset.symbol} | ${typeLabel} | ${period.label} `);
-    
-    // Calculate min/max for proper Y scaling (add 5% padding)
-    const minVal = Math.min(...history);
-    const maxVal = Math.max(...history);
-    const padding = (maxVal - minVal) * 0.05 || 1;
+    this.candleBox.setLabel(` ${asset.symbol} | ${typeLabel} | ${period.label} | OHLC `);
 
-    this.trendChart.options.minY = minVal - padding;
-    this.trendChart.options.maxY = maxVal + padding;
+    // Inner size, excluding borders; each candle takes two columns
+    const labelWidth = 10;
+    const width = this.candleBox.width - 2;
+    const ohlcv = asset.ohlcv || { close: asset.history || [] };
+    const candles = buildCandles(ohlcv, Math.floor((width - labelWidth) / 2));
 
-    this.trendChart.setData([{
-      title: asset.symbol,
-      x: x,
-      y: history,
-      style: { line: lineColor }
-    }]);
+    const axisLabel = (v) => v >= 1000 ? v.toFixed(0) : v.toFixed(v >= 1 ? 2 : 4);
+    this.candleBox.setContent(renderCandles(candles, width, this.candleBox.height - 2, axisLabel, labelWidth, this.theme));
+    this.volumeBox.setContent(renderVolume(candles, width, this.volumeBox.height - 2, v => formatNumber(v), labelWidth, this.theme));
   }
 
-  formatNumber(num) {
-    if (!num || isNaN(num)) return 'N/A';
-    if (num >= 1e12) return `${(num / 1e12).toFixed(2)}T`;
-    if (num >= 1e9) return `${(num / 1e9).toFixed(2)}B`;
-    if (num >= 1e6) return `${(num / 1e6).toFixed(2)}M`;
-    if (num >= 1e3) return `${(num / 1e3).toFixed(2)}K`;
-    return num.toLocaleString();
+  // Age of the data behind an asset: "cached 14m ago" or LIVE
+  formatSource(asset) {
+    if (!asset.fromCache) return tag(this.theme.up, '[LIVE]');
+    if (!asset.timestamp) return tag(this.theme.warning, '[CACHE]');
+    return tag(this.theme.warning, `[cached ${formatRelativeTime(Math.min(asset.timestamp, Date.now()))}]`);
+  }
+
+  // Dot before the symbol: green open, yellow pre-market or after-hours,
+  // gray closed; nothing for assets trading around the clock
+  sessionMarker(asset) {
+    if (!calendarFor(asset)) return ' ';
+    const session = marketSession(asset);
+    if (session === 'open') return paint(this.theme.up, '●');
+    if (session === 'closed') return paint(this.theme.muted, '●');
+    return paint(this.theme.warning, '●');
+  }
+
+  // Session and exchange for the details header, plus the extended-hours
+  // price line while one is being quoted
+  formatSession(asset) {
+    if (!calendarFor(asset)) return { header: '', extended: '' };
+    const session = marketSession(asset);
+    const color = { open: this.theme.up, closed: this.theme.muted }[session] || this.theme.warning;
+    const label = { pre: 'Pre-market', open: 'Open', post: 'After hours', closed: 'Closed' }[session];
+    const header = `${tag(color, `● ${label}`)} ${tag(this.theme.muted, asset.exchange || '')}`;
+
+    const [title, price, change] = session === 'pre'
+      ? ['Pre-Market', asset.preMarketPrice, asset.preMarketChange]
+      : ['After Hours', asset.postMarketPrice, asset.postMarketChange];
+    if (session === 'open' || session === 'closed' || !price) return { header, extended: '' };
+    const changeColor = change >= 0 ? this.theme.up : this.theme.down;
+    const extended = `\n {bold}${title.padEnd(13)}{/bold}${formatPrice(price, asset.currency)} ${tag(changeColor, formatChange(change))}`;
+    return { header, extended };
   }
 
   updateDetailsPanel() {
     if (this.assetsData.length === 0 || this.selectedIndex < 0) return;
     if (this.selectedIndex >= this.assetsData.length) return;
 
-    const asset = this.assetsData[this.selectedIndex];
+    const asset = this.toDisplayCurrency(this.assetsData[this.selectedIndex]);
     if (!asset) return;
+    if (this.detailsView === 'news') {
+      this.updateNewsPanel(asset);
+      return;
+    }
+    if (this.detailsView === 'fundamentals') {
+      this.updateFundamentalsPanel(asset);
+      return;
+    }
     
-    const changeColor = asset.change >= 0 ? 'green' : 'red';
-    const changeText = this.formatChange(asset.change);
+    const changeColor = asset.change >= 0 ? this.theme.up : this.theme.down;
+    const changeText = formatChange(asset.change);
+    // Rules shrink with the panel on narrow terminals
+    const rule = '─'.repeat(Math.max(0, Math.min(38, this.detailsBox.width - 4)));
+
+    // Latest indicator values, one compact line
+    const history = (asset.history || []).filter(v => v !== null && v !== undefined && !isNaN(v));
+    const indicatorText = latestIndicatorValues(history, asset.ohlcv, this.indicatorSettings, this.overlays)
+      .filter(item => item.value !== null)
+      .map(({ label, value }) => {
+        if (label.startsWith('RSI')) return `{bold}${label}{/bold} ${value.toFixed(1)}`;
+        if (label === 'MACD') return `{bold}${label}{/bold} ${value.toFixed(Math.abs(value) < 1 ? 4 : 2)}`;
+        return `{bold}${label}{/bold} ${formatPrice(value, asset.currency)}`;
+      })
+      .join('  ') || tag(this.theme.muted, 'Not enough data for indicators');
     
     // Determine asset type label
-    const category = this.getAssetCategory(asset);
+    const category = getAssetCategory(asset);
     let typeLabel = 'STOCK';
     let typeIcon = '[S]';
     if (category === 'crypto') {
@@ -362,103 +1173,319 @@ class StonksDashboard {
     if (asset.type === 'crypto') {
       // Crypto detailed view
       content = `
- {bold}{cyan-fg}${typeIcon} ${asset.symbol}{/cyan-fg}{/bold} {gray-fg}${typeLabel}{/gray-fg} ${asset.rank ? `#${asset.rank}` : ''}
- ${'─'.repeat(38)}
- {bold}Price{/bold}        ${this.formatPrice(asset.price)}
- {bold}24h{/bold}          {${changeColor}-fg}${this.formatChange(asset.change24h || asset.change)}{/${changeColor}-fg}
- {bold}Open{/bold}         ${this.formatPrice(asset.open)}
- ${'─'.repeat(38)}
- {bold}High 24h{/bold}     ${this.formatPrice(asset.high)}
- {bold}Low 24h{/bold}      ${this.formatPrice(asset.low)}
- {bold}ATH{/bold}          ${this.formatPrice(asset.high52w)}
- {bold}ATL{/bold}          ${this.formatPrice(asset.low52w)}
- ${'─'.repeat(38)}
- {bold}Mkt Cap{/bold}      ${this.formatNumber(asset.marketCap)}
- {bold}Volume 24h{/bold}   ${this.formatNumber(asset.volume)}
- {bold}Circ Supply{/bold}  ${this.formatNumber(asset.circulatingSupply)}
- ${'─'.repeat(38)}
- ${asset.fromCache ? '{yellow-fg}[CACHE]{/yellow-fg}' : '{green-fg}[LIVE]{/green-fg}'} ${asset.error ? '{red-fg}[ERROR]{/red-fg}' : ''}
+ {bold}${tag(this.theme.accent, `${typeIcon} ${asset.symbol}`)}{/bold} ${tag(this.theme.muted, typeLabel)} ${asset.rank ? `#${asset.rank}` : ''}
+ ${rule}
+ {bold}Price{/bold}        ${formatPrice(asset.price, asset.currency)}
+ {bold}24h{/bold}          ${tag(changeColor, formatChange(asset.change24h || asset.change))}
+ {bold}Open{/bold}         ${formatPrice(asset.open, asset.currency)}
+ ${rule}
+ {bold}High 24h{/bold}     ${formatPrice(asset.high, asset.currency)}
+ {bold}Low 24h{/bold}      ${formatPrice(asset.low, asset.currency)}
+ {bold}ATH{/bold}          ${formatPrice(asset.high52w, asset.currency)}
+ {bold}ATL{/bold}          ${formatPrice(asset.low52w, asset.currency)}
+ ${rule}
+ {bold}Mkt Cap{/bold}      ${formatNumber(asset.marketCap)}
+ {bold}Volume 24h{/bold}   ${formatNumber(asset.volume)}
+ {bold}Circ Supply{/bold}  ${formatNumber(asset.circulatingSupply)}
+ ${rule}
+ ${indicatorText}
+ ${this.formatSource(asset)} ${asset.error ? tag(this.theme.error, '[ERROR]') : ''}
 `;
     } else {
       // Stock/ETF detailed view
+      const session = this.formatSession(asset);
       content = `
- {bold}{cyan-fg}${typeIcon} ${asset.symbol}{/cyan-fg}{/bold} {gray-fg}${typeLabel}{/gray-fg}
- ${'─'.repeat(38)}
- {bold}Price{/bold}        ${this.formatPrice(asset.price, asset.currency)}
- {bold}Change{/bold}       {${changeColor}-fg}${changeText}{/${changeColor}-fg}
- {bold}Open{/bold}         ${this.formatPrice(asset.open, asset.currency)}
- {bold}Prev Close{/bold}   ${this.formatPrice(asset.previousClose, asset.currency)}
- ${'─'.repeat(38)}
- {bold}High{/bold}         ${this.formatPrice(asset.high, asset.currency)}
- {bold}Low{/bold}          ${this.formatPrice(asset.low, asset.currency)}
- {bold}52wk High{/bold}    ${this.formatPrice(asset.high52w, asset.currency)}
- {bold}52wk Low{/bold}     ${this.formatPrice(asset.low52w, asset.currency)}
- ${'─'.repeat(38)}
- {bold}Volume{/bold}       ${this.formatNumber(asset.volume)}
- {bold}Avg Vol{/bold}      ${this.formatNumber(asset.avgVolume)}
- {bold}Mkt Cap{/bold}      ${this.formatNumber(asset.marketCap)}
+ {bold}${tag(this.theme.accent, `${typeIcon} ${asset.symbol}`)}{/bold} ${tag(this.theme.muted, typeLabel)} ${session.header}
+ ${rule}
+ {bold}Price{/bold}        ${formatPrice(asset.price, asset.currency)}
+ {bold}Change{/bold}       ${tag(changeColor, changeText)}${session.extended}
+ {bold}Open{/bold}         ${formatPrice(asset.open, asset.currency)}
+ {bold}Prev Close{/bold}   ${formatPrice(asset.previousClose, asset.currency)}
+ ${rule}
+ {bold}High{/bold}         ${formatPrice(asset.high, asset.currency)}
+ {bold}Low{/bold}          ${formatPrice(asset.low, asset.currency)}
+ {bold}52wk High{/bold}    ${formatPrice(asset.high52w, asset.currency)}
+ {bold}52wk Low{/bold}     ${formatPrice(asset.low52w, asset.currency)}
+ ${rule}
+ {bold}Volume{/bold}       ${formatNumber(asset.volume)}
+ {bold}Avg Vol{/bold}      ${formatNumber(asset.avgVolume)}
+ {bold}Mkt Cap{/bold}      ${formatNumber(asset.marketCap)}
  {bold}P/E{/bold}          ${asset.pe ? asset.pe.toFixed(2) : 'N/A'}
- ${'─'.repeat(38)}
- ${asset.fromCache ? '{yellow-fg}[CACHE]{/yellow-fg}' : '{green-fg}[LIVE]{/green-fg}'} ${asset.error ? '{red-fg}[ERROR]{/red-fg}' : ''}
+ ${rule}
+ ${indicatorText}
+ ${this.formatSource(asset)} ${asset.error ? tag(this.theme.error, '[ERROR]') : ''}
 `;
     }
 
     this.detailsBox.setContent(content);
   }
 
+  // Upcoming dates, then headlines two lines each, scrolled to keep the
+  // highlighted one in view
+  updateNewsPanel(asset) {
+    if (asset.symbol !== this.newsSymbol) {
+      this.newsSymbol = asset.symbol;
+      this.newsIndex = 0;
+    }
+    const news = this.currentExtra('news', asset.symbol);
+
+    const width = Math.max(10, this.detailsBox.width - 4);
+    const rule = '─'.repeat(Math.max(0, Math.min(38, width)));
+    const fit = (text) => (text.length > width ? `${text.slice(0, width - 1)}…` : text);
+    // blessed reads braces in headlines as tags
+    const plain = (text) => text.replace(/[{}]/g, '');
+    const lines = [
+      '',
+      ` {bold}${tag(this.theme.accent, asset.symbol)}{/bold} ${tag(this.theme.muted, 'NEWS & EVENTS')}`,
+      ` ${rule}`
+    ];
+
+    if (!news) {
+      lines.push(` ${tag(this.theme.muted, 'Loading news...')}`);
+      this.detailsBox.setContent(lines.join('\n'));
+      return;
+    }
+    if (news.unsupported) {
+      lines.push(` ${tag(this.theme.muted, 'No news source for this asset')}`);
+      this.detailsBox.setContent(lines.join('\n'));
+      return;
+    }
+
+    const events = news.events || [];
+    const items = news.items || [];
+    for (const event of events) {
+      const upcoming = event.time > Date.now();
+      const date = new Date(event.time).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+      const text = `${event.label.padEnd(12)} ${date} (${formatRelativeTime(event.time)})`;
+      lines.push(` ${upcoming ? tag(this.theme.accent, text) : tag(this.theme.muted, text)}`);
+    }
+    if (events.length > 0) lines.push(` ${rule}`);
+
+    // Two rows per headline in what the footer and the borders leave
+    const room = Math.max(1, Math.floor((this.detailsBox.height - lines.length - 3) / 2));
+    const first = Math.max(0, Math.min(this.newsIndex - room + 1, items.length - room));
+    items.slice(first, first + room).forEach((item, i) => {
+      const selected = first + i === this.newsIndex;
+      const title = fit(plain(item.title));
+      const meta = [item.publisher, item.time && formatRelativeTime(item.time)].filter(Boolean).join(' · ');
+      lines.push(selected ? ` {inverse}${title}{/inverse}` : ` ${title}`);
+      lines.push(` ${tag(this.theme.muted, fit(plain(meta)))}`);
+    });
+    if (items.length === 0) {
+      lines.push(` ${news.error ? tag(this.theme.error, fit(plain(news.error))) : tag(this.theme.muted, 'No recent headlines')}`);
+    }
+
+    const position = items.length > 0 ? `${this.newsIndex + 1}/${items.length} ` : '';
+    const source = news.timestamp
+      ? this.formatSource({ fromCache: news.fromCache, timestamp: news.timestamp })
+      : '';
+    lines.push(` ${position}${source} ${tag(this.theme.muted, '[ ] Pick  Enter Open')}`);
+    this.detailsBox.setContent(lines.join('\n'));
+  }
+
+  // Company figures for stocks; expense ratio, assets and top holdings for funds
+  updateFundamentalsPanel(asset) {
+    const data = this.currentExtra('fundamentals', asset.symbol);
+    const width = Math.max(10, this.detailsBox.width - 4);
+    const rule = '─'.repeat(Math.max(0, Math.min(38, width)));
+    const fit = (text, max = width) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+    const row = (label, value) => ` {bold}${label.padEnd(13)}{/bold}${value}`;
+    const lines = [
+      '',
+      ` {bold}${tag(this.theme.accent, asset.symbol)}{/bold} ${tag(this.theme.muted, 'FUNDAMENTALS')}`,
+      ` ${rule}`
+    ];
+
+    if (!data || data.unsupported || !data.kind) {
+      let message = tag(this.theme.muted, 'Loading fundamentals...');
+      if (data?.unsupported) message = tag(this.theme.muted, 'No fundamentals for this asset');
+      else if (data?.error) message = tag(this.theme.error, fit(data.error));
+      lines.push(` ${message}`);
+      this.detailsBox.setContent(lines.join('\n'));
+      return;
+    }
+
+    const currency = data.currency || asset.currency;
+    const price = (value) => (value === null ? 'N/A' : formatPrice(value, currency));
+    // Sector and industry, or fund category and family, under the header
+    const profile = (data.kind === 'fund' ? [data.category, data.family] : [data.sector, data.industry])
+      .filter(Boolean).join(' · ');
+    if (profile) lines.splice(2, 0, ` ${tag(this.theme.muted, fit(profile))}`);
+
+    if (data.kind === 'fund') {
+      lines.push(
+        row('Expense', formatPercent(data.expenseRatio)),
+        row('AUM', formatNumber(data.totalAssets)),
+        row('Yield', formatPercent(data.yield)),
+        row('Beta (3y)', data.beta === null ? 'N/A' : data.beta.toFixed(2)),
+        ` ${rule}`,
+        ` ${tag(this.theme.muted, 'TOP HOLDINGS')}`
+      );
+      // Whatever rows the footer and the borders leave
+      const room = Math.max(1, this.detailsBox.height - lines.length - 3);
+      for (const holding of data.holdings.slice(0, room)) {
+        const weight = formatPercent(holding.weight).padStart(7);
+        lines.push(` ${fit(`${(holding.symbol || '').padEnd(7)} ${holding.name}`, width - 8).padEnd(width - 8)}${weight}`);
+      }
+      if (data.holdings.length === 0) lines.push(` ${tag(this.theme.muted, 'No holdings reported')}`);
+    } else {
+      const targets = data.targetMean === null
+        ? 'N/A'
+        : `${price(data.targetMean)} ${tag(this.theme.muted, `(${price(data.targetLow)} – ${price(data.targetHigh)})`)}`;
+      const rating = data.recommendation
+        ? `${data.recommendation.replace(/_/g, ' ')}${data.analysts ? ` ${tag(this.theme.muted, `(${data.analysts} analysts)`)}` : ''}`
+        : 'N/A';
+      const exDate = data.exDividendDate ? ` ${tag(this.theme.muted, `ex ${new Date(data.exDividendDate).toISOString().slice(0, 10)}`)}` : '';
+      const margins = [data.grossMargin, data.operatingMargin, data.profitMargin].map(m => formatPercent(m, 1)).join(' / ');
+      lines.push(
+        row('EPS (ttm)', `${price(data.eps)}${data.forwardEps === null ? '' : ` ${tag(this.theme.muted, `fwd ${price(data.forwardEps)}`)}`}`),
+        row('Div Yield', `${formatPercent(data.dividendYield)}${exDate}`),
+        row('Beta', data.beta === null ? 'N/A' : data.beta.toFixed(2)),
+        row('Gross/Op/Net', margins),
+        ` ${rule}`,
+        row('Target', targets),
+        row('Rating', rating)
+      );
+    }
+
+    lines.push(` ${this.formatSource(data)}`);
+    this.detailsBox.setContent(lines.join('\n'));
+  }
+
+  updatePortfolioPanel() {
+    if (!this.portfolioBox || this.assetsData.length === 0) return;
+
+    const fx = this.showBaseCurrency ? { base: this.baseCurrency, rates: this.fxRates } : null;
+    const { positions, totals } = computePortfolio(this.holdings, this.assetsData, fx, this.realized);
+    const color = (value) => value >= 0 ? this.theme.up : this.theme.down;
+    const lines = [''];
+
+    for (const [currency, total] of Object.entries(totals)) {
+      // Currencies with only closed positions just show what was realized
+      if (total.marketValue || total.costBasis) {
+        lines.push(` {bold}Value{/bold}   ${formatPrice(total.marketValue, currency)}`);
+        lines.push(` {bold}P&L{/bold}     ${tag(color(total.pnl), `${formatSignedPrice(total.pnl, currency)} (${formatChange(total.pnlPct)})`)}`);
+        lines.push(` {bold}Day{/bold}     ${tag(color(total.dayPnl), formatSignedPrice(total.dayPnl, currency))}`);
+      }
+      if (total.realized || total.dividends) {
+        lines.push(` {bold}Real.{/bold}   ${tag(color(total.realized), formatSignedPrice(total.realized, currency))}  {bold}Div{/bold} ${formatPrice(total.dividends, currency)}`);
+      }
+      lines.push(` ${'─'.repeat(Math.max(0, Math.min(34, this.portfolioBox.width - 4)))}`);
+    }
+
+    lines.push(` ${tag(this.theme.muted, `${'SYMBOL'.padEnd(10)}${'WEIGHT'.padStart(7)}${'P&L'.padStart(10)}`)}`);
+    for (const position of positions) {
+      const selected = this.assetsData[this.selectedIndex]?.symbol === position.symbol;
+      const symbol = `${selected ? '>' : ' '}${position.symbol}`.padEnd(10);
+      const weight = `${position.weight.toFixed(1)}%`.padStart(7);
+      const pnl = formatChange(position.pnlPct).padStart(10);
+      lines.push(` ${symbol}${weight}${tag(color(position.pnl), pnl)}`);
+    }
+
+    this.portfolioBox.setContent(lines.join('\n'));
+  }
+
   updateStatusBar() {
     const now = new Date().toLocaleTimeString();
     const period = this.periods[this.currentPeriodIndex].label;
-    const assetCount = this.assetsData.length;
-    const selected = this.selectedIndex + 1;
+    const order = this.displayOrder();
+    const assetCount = order.length;
+    const selected = order.indexOf(this.selectedIndex) + 1;
+    const currency = this.showBaseCurrency ? this.baseCurrency : 'NATIVE';
+    const key = (text) => tag(this.theme.accent, text);
+    const listHint = this.watchlists.length > 1 ? `${key('[TAB]')} List | ` : '';
     
-    const status = this.connectionError 
-      ? '{yellow-fg}CACHED{/yellow-fg}' 
-      : '{green-fg}LIVE{/green-fg}';
+    let status = this.connectionError 
+      ? tag(this.theme.warning, 'CACHED')
+      : tag(this.theme.up, 'LIVE');
+    if (this.dataService.offline) status = tag(this.theme.offline, 'OFFLINE');
+    if (this.apiServer) status += ` ${tag(this.theme.accent, `API :${this.apiServer.port}`)}`;
     
+    if (this.banner && Date.now() < this.banner.until) {
+      const { label, message, color } = this.banner;
+      this.statusBar.setContent(
+        ` ${status} | {${color}-bg}${tag(this.theme.flashText, `{bold} ${label} {/bold}`)}{/${color}-bg} ${tag(color, message)} | ${now}`
+      );
+      return;
+    }
+    this.banner = null;
+
     this.statusBar.setContent(
-      ` ${status} | ${selected}/${assetCount} | ${period} | ${now} | {cyan-fg}[1-4]{/cyan-fg} Period | {cyan-fg}[UP/DOWN]{/cyan-fg} Navigate | {cyan-fg}[q]{/cyan-fg} Quit`
+      ` ${status} | ${selected}/${assetCount} | ${period} | ${currency} | ${now} | ${key(`[1-${Math.min(9, this.periods.length)}]`)} Period | ${key('[c]')} Currency | ${key('[m]')} Chart | ${key('[n/i]')} News/Fundamentals | ${key('[s/e/b/v/r]')} Indicators | ${key('[UP/DOWN]')} Navigate | ${listHint}${key('[a/d]')} Add/Remove | ${key('[f]')} Search | ${key('[q]')} Quit`
     );
   }
 
   async fetchData() {
+    const generation = ++this.fetchGeneration;
     try {
       this.connectionError = false;
       const period = this.periods[this.currentPeriodIndex];
+      const tickers = [...this.tickers];
+      const previous = this.assetsData;
+      const prevBySymbol = new Map(previous.map(a => [a.symbol, a]));
+
+      // Show each asset as soon as it arrives; rows not fetched yet keep
+      // their previous data. A newer fetch (period switch) wins over this one.
+      const streamed = tickers.map(ticker => prevBySymbol.get(ticker));
       const newData = await this.dataService.fetchAllAssets(
-        this.config.tickers,
+        tickers,
         this.config.cryptoIds,
-        period.days
+        period,
+        (asset, index) => {
+          if (generation !== this.fetchGeneration) return;
+          streamed[index] = asset;
+          this.showAssets(streamed.filter(Boolean));
+          if (this.loadingSpinner.visible) this.loadingSpinner.stop();
+          this.refreshDisplay();
+        }
       );
+      if (generation !== this.fetchGeneration) return;
       
       // Compute flash indices
-      const prevBySymbol = new Map(this.prevAssetsData.map(a => [a.symbol, a]));
       this.flashIndices.clear();
       for (const asset of newData) {
         const prev = prevBySymbol.get(asset.symbol);
         if (prev && prev.price > 0) {
           const deltaPct = Math.abs((asset.price - prev.price) / prev.price) * 100;
-          if (deltaPct >= 2) {
+          if (deltaPct >= this.flashThreshold) {
             this.flashIndices.add(asset.symbol);
           }
         }
       }
       
-      this.prevAssetsData = this.assetsData;
-      this.assetsData = newData;
-      
-      // Clamp selected index
-      if (this.selectedIndex >= this.assetsData.length) {
-        this.selectedIndex = Math.max(0, this.assetsData.length - 1);
+      this.prevAssetsData = previous;
+      this.showAssets(newData);
+      if (previous.length === 0) {
+        this.selectedIndex = this.displayOrder()[0] ?? 0; // A fresh list starts on its top row
       }
+
+      this.fxRates = await this.dataService.fetchFxRates(
+        newData.map(asset => asset.currency || 'USD'),
+        this.baseCurrency
+      );
       
       this.connectionError = this.assetsData.some(asset => asset.error);
+
+      this.alertEngine.evaluate(this.assetsData);
+      this.apiServer?.publish(this.watchlists[this.watchlistIndex].name, period, newData);
       
     } catch (error) {
       this.connectionError = true;
     }
   }
 
+  // Replace the asset list, keeping the same symbol selected while rows fill in
+  showAssets(assets) {
+    const selectedSymbol = this.assetsData[this.selectedIndex]?.symbol;
+    this.assetsData = assets;
+    const index = assets.findIndex(asset => asset.symbol === selectedSymbol);
+    if (index !== -1) {
+      this.selectedIndex = index;
+    } else if (this.selectedIndex >= assets.length) {
+      this.selectedIndex = Math.max(0, assets.length - 1);
+    }
+  }
+
   async startGameLoop() {
     await this.fetchData();
     
@@ -466,6 +1493,15 @@ class StonksDashboard {
     this.loadingSpinner.stop();
     this.refreshDisplay();
 
+    // Blink flashing rows and expire the alert banner
+    setInterval(() => {
+      if (this.flashIndices.size === 0 && !this.banner) return;
+      this.flashPhase = !this.flashPhase;
+      this.updateWatchlistTable();
+      this.updateStatusBar();
+      this.screen.render();
+    }, 500);
+
     // Update loop
     setInterval(async () => {
       await this.fetchData();
@@ -474,14 +1510,33 @@ class StonksDashboard {
   }
 
   async start() {
+    if (this.apiServer) {
+      try {
+        await this.apiServer.listen();
+      } catch (error) {
+        this.showBanner('API', `Could not start the API: ${error.message}`);
+        this.apiServer = null;
+      }
+    }
     this.loadingSpinner.load('Loading market data...');
     this.screen.render();
     await this.startGameLoop();
   }
 }
 
-const dashboard = new StonksDashboard();
-dashboard.start().catch(error => {
-  console.error('Fatal error:', error);
-  process.exit(1);
-});
+const args = process.argv.slice(2);
+if (isCliCommand(args)) {
+  // Let stdout drain before exiting instead of calling process.exit()
+  runCli(args).then(code => { process.exitCode = code; });
+} else {
+  const options = parseDashboardArgs(args);
+  if (!options) {
+    process.exitCode = EXIT_USAGE;
+  } else {
+    const dashboard = new StonksDashboard(options);
+    dashboard.start().catch(error => {
+      console.error('Fatal error:', error);
+      process.exit(1);
+    });
+  }
+}
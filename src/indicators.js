@@ -0,0 +1,234 @@
+// Technical indicators over a price series. Every function returns an array
+// aligned with its input, with null where there is not enough data yet.
+
+export function sma(values, window) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= window) sum -= values[i - window];
+    if (i >= window - 1) out[i] = sum / window;
+  }
+  return out;
+}
+
+// Seeded with the SMA of the first `window` values
+export function ema(values, window) {
+  const out = new Array(values.length).fill(null);
+  if (values.length < window) return out;
+
+  const k = 2 / (window + 1);
+  let prev = values.slice(0, window).reduce((a, b) => a + b, 0) / window;
+  out[window - 1] = prev;
+  for (let i = window; i < values.length; i++) {
+    prev = values[i] * k + prev * (1 - k);
+    out[i] = prev;
+  }
+  return out;
+}
+
+export function bollinger(values, window = 20, stdDev = 2) {
+  const middle = sma(values, window);
+  const upper = new Array(values.length).fill(null);
+  const lower = new Array(values.length).fill(null);
+
+  for (let i = window - 1; i < values.length; i++) {
+    const slice = values.slice(i - window + 1, i + 1);
+    const variance = slice.reduce((acc, v) => acc + (v - middle[i]) ** 2, 0) / window;
+    const deviation = Math.sqrt(variance) * stdDev;
+    upper[i] = middle[i] + deviation;
+    lower[i] = middle[i] - deviation;
+  }
+  return { middle, upper, lower };
+}
+
+// Cumulative VWAP over the series using the typical price (H+L+C)/3
+export function vwap(ohlcv) {
+  const close = ohlcv?.close || [];
+  const out = new Array(close.length).fill(null);
+  let pv = 0;
+  let volume = 0;
+
+  for (let i = 0; i < close.length; i++) {
+    const v = ohlcv.volume?.[i] || 0;
+    const typical = ((ohlcv.high?.[i] ?? close[i]) + (ohlcv.low?.[i] ?? close[i]) + close[i]) / 3;
+    pv += typical * v;
+    volume += v;
+    out[i] = volume > 0 ? pv / volume : null;
+  }
+  return out;
+}
+
+// Wilder's RSI
+export function rsi(values, period = 14) {
+  const out = new Array(values.length).fill(null);
+  if (values.length <= period) return out;
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const diff = values[i] - values[i - 1];
+    if (diff >= 0) gain += diff; else loss -= diff;
+  }
+  gain /= period;
+  loss /= period;
+  out[period] = loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+
+  for (let i = period + 1; i < values.length; i++) {
+    const diff = values[i] - values[i - 1];
+    gain = (gain * (period - 1) + Math.max(diff, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-diff, 0)) / period;
+    out[i] = loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+  }
+  return out;
+}
+
+export function macd(values, fast = 12, slow = 26, signal = 9) {
+  const fastEma = ema(values, fast);
+  const slowEma = ema(values, slow);
+  const line = values.map((_, i) => (fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null));
+
+  // Signal is an EMA over the defined part of the MACD line
+  const start = line.findIndex(v => v !== null);
+  const signalLine = new Array(values.length).fill(null);
+  if (start !== -1) {
+    const tail = ema(line.slice(start), signal);
+    tail.forEach((v, i) => { signalLine[start + i] = v; });
+  }
+
+  const histogram = line.map((v, i) => (v !== null && signalLine[i] !== null ? v - signalLine[i] : null));
+  return { macd: line, signal: signalLine, histogram };
+}
+
+export function lastDefined(series) {
+  for (let i = series.length - 1; i >= 0; i--) {
+    if (series[i] !== null && series[i] !== undefined) return series[i];
+  }
+  return null;
+}
+
+export const DEFAULT_INDICATOR_SETTINGS = {
+  sma: [20],
+  ema: [50],
+  bollinger: { window: 20, stdDev: 2 },
+  rsi: 14,
+  macd: { fast: 12, slow: 26, signal: 9 },
+  enabled: []
+};
+
+const OVERLAY_KINDS = ['sma', 'ema', 'bollinger', 'vwap'];
+
+const isWindow = (value) => Number.isInteger(value) && value > 0;
+
+// config.indicators over the defaults, key by key. sma and ema take a window
+// or a list of windows; a value of the wrong shape falls back to its default.
+export function normalizeIndicatorSettings(config) {
+  if (typeof config !== 'object' || config === null) config = {};
+  const settings = structuredClone(DEFAULT_INDICATOR_SETTINGS);
+  const ignore = (key, expected) => console.error(`[Indicators] Ignoring ${key}: expected ${expected}`);
+
+  for (const key of ['sma', 'ema']) {
+    if (config[key] === undefined) continue;
+    const windows = [config[key]].flat();
+    if (windows.length > 0 && windows.every(isWindow)) settings[key] = windows;
+    else ignore(key, 'a window or a list of windows (whole numbers above 0)');
+  }
+  if (config.rsi !== undefined) {
+    if (isWindow(config.rsi)) settings.rsi = config.rsi;
+    else ignore('rsi', 'a window (whole number above 0)');
+  }
+
+  const fields = {
+    bollinger: { window: isWindow, stdDev: value => typeof value === 'number' && value > 0 },
+    macd: { fast: isWindow, slow: isWindow, signal: isWindow }
+  };
+  for (const [key, checks] of Object.entries(fields)) {
+    if (config[key] === undefined) continue;
+    if (typeof config[key] !== 'object' || config[key] === null || Array.isArray(config[key])) {
+      ignore(key, `{ ${Object.keys(checks).join(', ')} }`);
+      continue;
+    }
+    for (const [field, check] of Object.entries(checks)) {
+      if (config[key][field] === undefined) continue;
+      if (check(config[key][field])) settings[key][field] = config[key][field];
+      else ignore(`${key}.${field}`, 'a number above 0');
+    }
+  }
+
+  if (config.enabled !== undefined) {
+    const enabled = Array.isArray(config.enabled) ? config.enabled : [];
+    settings.enabled = enabled.filter(kind => OVERLAY_KINDS.includes(kind));
+    if (settings.enabled.length !== enabled.length || !Array.isArray(config.enabled)) {
+      ignore('enabled', `a list of ${OVERLAY_KINDS.join(', ')}`);
+    }
+  }
+  return settings;
+}
+
+// Overlay series for the trend chart, one entry per drawn line.
+// `enabled` holds the overlay kinds to include: sma, ema, bollinger, vwap.
+export function computeOverlays(history, ohlcv, settings, enabled) {
+  const overlays = [];
+
+  if (enabled.has('sma')) {
+    for (const window of settings.sma) {
+      overlays.push({ title: `SMA${window}`, values: sma(history, window), color: 'yellow' });
+    }
+  }
+  if (enabled.has('ema')) {
+    for (const window of settings.ema) {
+      overlays.push({ title: `EMA${window}`, values: ema(history, window), color: 'magenta' });
+    }
+  }
+  if (enabled.has('bollinger')) {
+    const { window, stdDev } = settings.bollinger;
+    const bands = bollinger(history, window, stdDev);
+    overlays.push({ title: `BB${window} up`, values: bands.upper, color: 'cyan' });
+    overlays.push({ title: `BB${window} low`, values: bands.lower, color: 'cyan' });
+  }
+  // VWAP only makes sense when the provider reported volume
+  if (enabled.has('vwap') && (ohlcv?.volume || []).some(v => v > 0)) {
+    overlays.push({ title: 'VWAP', values: vwap(ohlcv), color: 'white' });
+  }
+
+  return overlays;
+}
+
+// Series for the oscillator sub-panel ('rsi' or 'macd') with fixed reference lines
+export function computeOscillator(history, settings, kind) {
+  if (kind === 'rsi') {
+    const values = rsi(history, settings.rsi);
+    return {
+      title: `RSI${settings.rsi}`,
+      minY: 0,
+      maxY: 100,
+      series: [
+        { title: `RSI${settings.rsi}`, values, color: 'yellow' },
+        { title: '70', values: history.map(() => 70), color: 'red' },
+        { title: '30', values: history.map(() => 30), color: 'green' }
+      ]
+    };
+  }
+
+  const { fast, slow, signal } = settings.macd;
+  const result = macd(history, fast, slow, signal);
+  return {
+    title: `MACD ${fast},${slow},${signal}`,
+    series: [
+      { title: 'MACD', values: result.macd, color: 'cyan' },
+      { title: 'Signal', values: result.signal, color: 'magenta' },
+      { title: '0', values: history.map(() => 0), color: 'white' }
+    ]
+  };
+}
+
+// Latest value of every enabled overlay plus RSI and MACD, for the details panel
+export function latestIndicatorValues(history, ohlcv, settings, enabled) {
+  const values = computeOverlays(history, ohlcv, settings, enabled)
+    .map(o => ({ label: o.title, value: lastDefined(o.values) }));
+
+  values.push({ label: `RSI${settings.rsi}`, value: lastDefined(rsi(history, settings.rsi)) });
+  const { fast, slow, signal } = settings.macd;
+  values.push({ label: 'MACD', value: lastDefined(macd(history, fast, slow, signal).macd) });
+  return values;
+}
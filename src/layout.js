@@ -0,0 +1,104 @@
+// Where the dashboard panels sit on a 12x12 grid. Each panel is
+// [row, col, rows, cols], or false to leave it out. Panels also collapse
+// when the terminal is narrower than their `collapse` width; the area of a
+// panel that is left out goes to the neighbours sharing a whole edge with it.
+
+export const GRID_SIZE = 12;
+export const PANELS = ['watchlist', 'chart', 'details', 'portfolio'];
+
+export const DEFAULT_LAYOUT = {
+  panels: {
+    watchlist: [0, 0, 12, 4],
+    chart: [0, 4, 7, 8],
+    details: [7, 4, 5, 4],
+    portfolio: [7, 8, 5, 4]
+  },
+  // Terminal widths (columns) below which a panel is collapsed
+  collapse: { portfolio: 100, chart: 70, details: 45 }
+};
+
+// Panels given up first when short of room; the watchlist always stays
+const COLLAPSE_ORDER = ['portfolio', 'details', 'chart'];
+
+function isRect(value) {
+  return Array.isArray(value) && value.length === 4 && value.every(Number.isInteger) &&
+    value[0] >= 0 && value[1] >= 0 && value[2] > 0 && value[3] > 0 &&
+    value[0] + value[2] <= GRID_SIZE && value[1] + value[3] <= GRID_SIZE;
+}
+
+// Config layout merged over the default, dropping invalid spans
+export function normalizeLayout(layout = {}) {
+  const panels = { ...DEFAULT_LAYOUT.panels };
+  for (const [name, value] of Object.entries(layout.panels || {})) {
+    if (!PANELS.includes(name)) {
+      console.error(`[Layout] Unknown panel "${name}", expected ${PANELS.join(', ')}`);
+    } else if (value === false && name !== 'watchlist') {
+      panels[name] = false;
+    } else if (isRect(value)) {
+      panels[name] = value;
+    } else {
+      console.error(`[Layout] Ignoring ${name}: expected [row, col, rows, cols] within the ${GRID_SIZE}x${GRID_SIZE} grid${name === 'watchlist' ? '' : ' or false'}`);
+    }
+  }
+  return { panels, collapse: { ...DEFAULT_LAYOUT.collapse, ...layout.collapse } };
+}
+
+// Visible panels touching one side of `rect` whose edges together cover it
+// exactly, or null when that side cannot take the area over
+function neighboursOn(side, rect, placed) {
+  const [row, col, rows, cols] = rect;
+  const vertical = side === 'above' || side === 'below';
+  const touching = Object.entries(placed).filter(([, [r, c, rs, cs]]) => {
+    if (side === 'above') return r + rs === row && c >= col && c + cs <= col + cols;
+    if (side === 'below') return r === row + rows && c >= col && c + cs <= col + cols;
+    if (side === 'left') return c + cs === col && r >= row && r + rs <= row + rows;
+    return c === col + cols && r >= row && r + rs <= row + rows;
+  });
+  const covered = touching.reduce((sum, [, [, , rs, cs]]) => sum + (vertical ? cs : rs), 0);
+  return touching.length > 0 && covered === (vertical ? cols : rows) ? touching.map(([name]) => name) : null;
+}
+
+function absorb(rect, placed) {
+  for (const side of ['below', 'above', 'left', 'right']) {
+    const names = neighboursOn(side, rect, placed);
+    if (!names) continue;
+    const [row, col, rows, cols] = rect;
+    for (const name of names) {
+      const [r, c, rs, cs] = placed[name];
+      if (side === 'below') placed[name] = [row, c, rs + rows, cs];
+      if (side === 'above') placed[name] = [r, c, rs + rows, cs];
+      if (side === 'left') placed[name] = [r, c, rs, cs + cols];
+      if (side === 'right') placed[name] = [r, col, rs, cs + cols];
+    }
+    return;
+  }
+}
+
+// Panel rects for a terminal `width` columns wide. Panels in `absent` (the
+// portfolio without holdings) are left out like collapsed ones. Returns
+// { watchlist, chart, details, portfolio } with null for hidden panels.
+export function resolveLayout(layout, width, absent = []) {
+  const { panels, collapse } = normalizeLayout(layout);
+  const placed = {};
+  for (const name of PANELS) {
+    // Panels turned off in the config give up their default area
+    placed[name] = [...(panels[name] || DEFAULT_LAYOUT.panels[name])];
+  }
+
+  const hidden = COLLAPSE_ORDER.filter(name =>
+    panels[name] === false || absent.includes(name) || width < (collapse[name] || 0));
+  // Hidden panels later in the order still take area over, then hand it on
+  for (const name of hidden) {
+    const rect = placed[name];
+    delete placed[name];
+    absorb(rect, placed);
+  }
+
+  return Object.fromEntries(PANELS.map(name => [name, placed[name] || null]));
+}
+
+// Split the chart area into a top and bottom part, `share` of the rows on top
+export function splitRows([row, col, rows, cols], share) {
+  const top = rows < 2 ? rows : Math.min(rows - 1, Math.max(1, Math.round(rows * share)));
+  return [[row, col, top, cols], [row + top, col, Math.max(1, rows - top), cols]];
+}
@@ -0,0 +1,115 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import path from 'path';
+import { defaultDataDir, expandPath } from './paths.js';
+
+// Dust left on a lot by floating point after partial sells
+const EPSILON = 1e-9;
+
+export function ledgerPath(config = {}) {
+  return config.ledger?.file ? expandPath(config.ledger.file) : path.join(defaultDataDir(), 'ledger.json');
+}
+
+function transactionKey(t) {
+  return [t.date, t.symbol, t.type, t.quantity, t.price, t.amount].join('|');
+}
+
+// Imported transactions, kept in one JSON file in the data directory
+export class Ledger {
+  constructor(file) {
+    this.file = file;
+    this.transactions = [];
+    this.load();
+  }
+
+  load() {
+    try {
+      if (existsSync(this.file)) {
+        this.transactions = JSON.parse(readFileSync(this.file, 'utf-8')).transactions || [];
+      }
+    } catch (error) {
+      console.error('[Ledger] Error loading ledger file:', error.message);
+    }
+  }
+
+  // Add transactions, skipping those already in the ledger so re-importing an
+  // export (or one that overlaps an earlier one) is harmless. Identical rows
+  // within one import are kept: two equal buys on a day are two buys.
+  add(transactions) {
+    const known = new Map();
+    for (const t of this.transactions) {
+      const key = transactionKey(t);
+      known.set(key, (known.get(key) || 0) + 1);
+    }
+
+    let added = 0;
+    let duplicates = 0;
+    for (const t of transactions) {
+      const key = transactionKey(t);
+      if (known.get(key) > 0) {
+        known.set(key, known.get(key) - 1);
+        duplicates++;
+      } else {
+        this.transactions.push(t);
+        added++;
+      }
+    }
+    return { added, duplicates };
+  }
+
+  // Same temp file and rename as saveConfig
+  save() {
+    const tmpPath = `${this.file}.${process.pid}.tmp`;
+    mkdirSync(path.dirname(this.file), { recursive: true });
+    writeFileSync(tmpPath, JSON.stringify({ transactions: this.transactions }, null, 2) + '\n');
+    renameSync(tmpPath, this.file);
+  }
+}
+
+// Replay transactions in date order (buys before sells on the same day) and
+// match sells against the oldest lots first (FIFO). Buy fees go into the lot
+// price, sell fees come off the proceeds. Returns holdings in the config
+// `holdings` shape plus realized P&L and dividends per symbol.
+export function deriveHoldings(transactions) {
+  const order = { buy: 0, dividend: 1, sell: 2 };
+  const sorted = [...transactions].sort((a, b) => a.date.localeCompare(b.date) || order[a.type] - order[b.type]);
+  const lotsBySymbol = new Map();
+  const realized = {};
+  const warnings = [];
+
+  for (const t of sorted) {
+    const lots = lotsBySymbol.get(t.symbol) || [];
+    lotsBySymbol.set(t.symbol, lots);
+    const entry = realized[t.symbol] || (realized[t.symbol] = { currency: null, realized: 0, dividends: 0 });
+    entry.currency = entry.currency || t.currency || null;
+
+    if (t.type === 'buy') {
+      lots.push({ quantity: t.quantity, price: t.price + (t.fees || 0) / t.quantity, date: t.date });
+    } else if (t.type === 'dividend') {
+      entry.dividends += t.amount;
+    } else if (t.type === 'sell') {
+      let remaining = t.quantity;
+      let cost = 0;
+      while (remaining > EPSILON && lots.length > 0) {
+        const lot = lots[0];
+        const used = Math.min(lot.quantity, remaining);
+        cost += used * lot.price;
+        lot.quantity -= used;
+        remaining -= used;
+        if (lot.quantity <= EPSILON) lots.shift();
+      }
+
+      const sold = t.quantity - Math.max(0, remaining);
+      if (remaining > EPSILON) {
+        warnings.push(`${t.date} sell of ${t.quantity} ${t.symbol} exceeds the ${sold} held; the rest is ignored`);
+      }
+      const fees = (t.fees || 0) * (sold / t.quantity);
+      entry.realized += sold * t.price - fees - cost;
+    }
+  }
+
+  const holdings = {};
+  for (const [symbol, lots] of lotsBySymbol) {
+    if (lots.length > 0) holdings[symbol] = { lots };
+  }
+  return { holdings, realized, warnings };
+}
@@ -0,0 +1,44 @@
+import os from 'os';
+import path from 'path';
+
+const APP_NAME = 'stonks-dashboard';
+
+// Per-user cache directory: $XDG_CACHE_HOME, %LOCALAPPDATA% on Windows, ~/.cache otherwise.
+// Kept out of the install prefix, which is often read-only and shared for global/npx installs.
+export function defaultCacheDir() {
+  if (process.env.XDG_CACHE_HOME) return path.join(process.env.XDG_CACHE_HOME, APP_NAME);
+  if (process.platform === 'win32' && process.env.LOCALAPPDATA) {
+    return path.join(process.env.LOCALAPPDATA, APP_NAME, 'Cache');
+  }
+  return path.join(os.homedir(), '.cache', APP_NAME);
+}
+
+// Per-user data directory for what cannot be re-downloaded (the transaction
+// ledger): $XDG_DATA_HOME, %APPDATA% on Windows, ~/.local/share otherwise
+export function defaultDataDir() {
+  if (process.env.XDG_DATA_HOME) return path.join(process.env.XDG_DATA_HOME, APP_NAME);
+  if (process.platform === 'win32' && process.env.APPDATA) {
+    return path.join(process.env.APPDATA, APP_NAME);
+  }
+  return path.join(os.homedir(), '.local', 'share', APP_NAME);
+}
+
+// Per-user config directory for the settings edited from the app (added
+// tickers, reordered lists): $XDG_CONFIG_HOME, %APPDATA% on Windows, ~/.config otherwise
+export function defaultConfigDir() {
+  if (process.env.XDG_CONFIG_HOME) return path.join(process.env.XDG_CONFIG_HOME, APP_NAME);
+  if (process.platform === 'win32' && process.env.APPDATA) {
+    return path.join(process.env.APPDATA, APP_NAME);
+  }
+  return path.join(os.homedir(), '.config', APP_NAME);
+}
+
+// Expand a leading ~ and make the path absolute
+export function expandPath(file) {
+  if (file === '~' || file.startsWith('~/')) return path.join(os.homedir(), file.slice(1));
+  return path.resolve(file);
+}
+
+export function resolveCacheDir(dir) {
+  return dir ? expandPath(dir) : defaultCacheDir();
+}
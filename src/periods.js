@@ -0,0 +1,67 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+// Day count standing for "all available history"; providers map it onto
+// their own maximum range (Yahoo range=max, CoinGecko days=max)
+export const MAX_DAYS = 100 * 365;
+
+export const DEFAULT_PERIOD_LABEL = '7D';
+
+function daysSinceYearStart() {
+  const now = new Date(Date.now());
+  const start = new Date(now.getFullYear(), 0, 1);
+  return Math.max(1, Math.ceil((now - start) / DAY));
+}
+
+// Build periods from config entries such as { "label": "1Y", "days": 365 },
+// { "label": "YTD", "range": "ytd" } or { "label": "MAX", "range": "max" }.
+// YTD keeps a live `days` getter so it stays right across the new year.
+export function parsePeriods(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) return DEFAULT_PERIODS;
+
+  const periods = [];
+  for (const entry of entries) {
+    const label = String(entry.label || '').trim();
+    const range = String(entry.range || '').toLowerCase();
+    const base = { label, ...(entry.interval ? { interval: entry.interval } : {}) };
+
+    if (!label) {
+      console.error('[Config] Period without a label ignored');
+    } else if (range === 'ytd') {
+      periods.push(Object.defineProperty(base, 'days', { get: daysSinceYearStart, enumerable: true }));
+    } else if (range === 'max') {
+      periods.push({ ...base, days: MAX_DAYS });
+    } else if (Number(entry.days) > 0) {
+      periods.push({ ...base, days: Number(entry.days) });
+    } else {
+      console.error(`[Config] Period "${label}" needs days > 0 or a range of "ytd" or "max"`);
+    }
+  }
+  return periods.length > 0 ? periods : DEFAULT_PERIODS;
+}
+
+// Time periods, overridable through config.periods. `interval` asks for a bar
+// size (e.g. 5m, 15m); providers that cannot honour it use their own.
+export const DEFAULT_PERIODS = parsePeriods([
+  { label: '1D', days: 1, interval: '5m' },
+  { label: '5D', days: 5, interval: '15m' },
+  { label: '7D', days: 7 },
+  { label: '30D', days: 30 },
+  { label: '90D', days: 90 },
+  { label: 'YTD', range: 'ytd' },
+  { label: '1Y', days: 365 },
+  { label: '5Y', days: 5 * 365 },
+  { label: 'MAX', range: 'max' }
+]);
+
+// Look a period up by label ("30D", case-insensitive) or by a plain day count
+export function findPeriod(value, periods = DEFAULT_PERIODS) {
+  const text = String(value).trim().toUpperCase();
+  const byLabel = periods.find(p => p.label.toUpperCase() === text);
+  if (byLabel) return byLabel;
+
+  const days = Number(text.replace(/D$/, ''));
+  if (Number.isFinite(days) && days > 0) {
+    return periods.find(p => p.days === days) || { label: `${days}D`, days };
+  }
+  return null;
+}
@@ -0,0 +1,99 @@
+// Portfolio maths over the `holdings` section of config.json.
+// A holding is either { quantity, avgCost } or { lots: [{ quantity, price, date }] };
+// when lots are given, quantity and average cost are derived from them.
+
+export function normalizeHoldings(holdings = {}) {
+  const positions = new Map();
+
+  for (const [symbol, holding] of Object.entries(holdings)) {
+    if (!holding) continue;
+    const lots = Array.isArray(holding.lots) ? holding.lots.filter(l => l && l.quantity > 0) : [];
+
+    let quantity = Number(holding.quantity) || 0;
+    let avgCost = Number(holding.avgCost) || 0;
+    if (lots.length > 0) {
+      const lotQuantity = lots.reduce((sum, l) => sum + Number(l.quantity), 0);
+      const lotCost = lots.reduce((sum, l) => sum + Number(l.quantity) * (Number(l.price) || 0), 0);
+      quantity = quantity || lotQuantity;
+      avgCost = avgCost || (lotQuantity > 0 ? lotCost / lotQuantity : 0);
+    }
+
+    if (quantity <= 0) continue;
+    positions.set(symbol, { symbol, quantity, avgCost, lots });
+  }
+
+  return positions;
+}
+
+// Combine holdings with the latest fetched assets. Totals and allocation
+// weights are grouped per currency, since values in different currencies
+// cannot be summed directly. Pass `fx` ({ base, rates }) to convert every
+// position whose rate is known into the base currency first. `realized`
+// holds the ledger's realized P&L and dividends per symbol (see ledger.js).
+export function computePortfolio(holdings, assets, fx = null, realized = {}) {
+  const normalized = holdings instanceof Map ? holdings : normalizeHoldings(holdings);
+  const positions = [];
+  const totals = {};
+  const totalFor = (currency) => totals[currency] || (totals[currency] = {
+    marketValue: 0, costBasis: 0, pnl: 0, pnlPct: 0, dayPnl: 0, realized: 0, dividends: 0
+  });
+
+  for (const asset of assets) {
+    const holding = normalized.get(asset.symbol);
+    if (!holding) continue;
+
+    const nativeCurrency = asset.currency || 'USD';
+    const rate = fx?.rates?.[nativeCurrency];
+    const currency = rate ? fx.base : nativeCurrency;
+    const factor = rate || 1;
+    const marketValue = holding.quantity * (asset.price || 0) * factor;
+    const costBasis = holding.quantity * holding.avgCost * factor;
+    const pnl = costBasis > 0 ? marketValue - costBasis : 0;
+    const pnlPct = costBasis > 0 ? (pnl / costBasis) * 100 : 0;
+
+    // Daily move from the 24h change; reverse it to get yesterday's value
+    const dayChange = asset.change24h || 0;
+    const dayPnl = dayChange > -100 ? marketValue - marketValue / (1 + dayChange / 100) : 0;
+
+    positions.push({
+      symbol: asset.symbol,
+      currency,
+      quantity: holding.quantity,
+      avgCost: holding.avgCost * factor,
+      price: (asset.price || 0) * factor,
+      marketValue,
+      costBasis,
+      pnl,
+      pnlPct,
+      dayPnl,
+      weight: 0,
+      error: asset.error
+    });
+
+    const total = totalFor(currency);
+    total.marketValue += marketValue;
+    total.costBasis += costBasis;
+    total.pnl += pnl;
+    total.dayPnl += dayPnl;
+  }
+
+  // Closed positions have no asset; their currency comes from the ledger
+  for (const [symbol, entry] of Object.entries(realized)) {
+    if (!entry.realized && !entry.dividends) continue;
+    const nativeCurrency = entry.currency || assets.find(a => a.symbol === symbol)?.currency || 'USD';
+    const rate = fx?.rates?.[nativeCurrency];
+    const total = totalFor(rate ? fx.base : nativeCurrency);
+    total.realized += entry.realized * (rate || 1);
+    total.dividends += entry.dividends * (rate || 1);
+  }
+
+  for (const total of Object.values(totals)) {
+    total.pnlPct = total.costBasis > 0 ? (total.pnl / total.costBasis) * 100 : 0;
+  }
+  for (const position of positions) {
+    const total = totals[position.currency].marketValue;
+    position.weight = total > 0 ? (position.marketValue / total) * 100 : 0;
+  }
+
+  return { positions, totals };
+}
@@ -0,0 +1,210 @@
+import { axiosHttp } from '../http.js';
+import { MAX_DAYS } from '../periods.js';
+import { RateLimiter } from '../rateLimiter.js';
+
+const API_URL = 'https://api.coingecko.com/api/v3';
+const HEADERS = { 'User-Agent': 'Mozilla/5.0' };
+
+// The public API allows only a few calls a minute: one request every 5 seconds avoids 429
+const RATE_LIMIT = { tokens: 1, interval: 5000, concurrency: 1 };
+
+// Every attempt, retries included, waits for its own turn in the queue
+async function getWithRetry({ http, limiter, retryDelay }, url, options, retries = 3) {
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      return await limiter.schedule(() => http.get(url, options));
+    } catch (e) {
+      const status = e.response?.status;
+      const shouldRetry = status === 429 || (status >= 500) || !status;
+      if (attempt < retries && shouldRetry) {
+        const delay = retryDelay * Math.pow(2, attempt);
+        const jitter = Math.floor(Math.random() * delay * 0.3);
+        await new Promise(r => setTimeout(r, delay + jitter));
+        continue;
+      }
+      throw e;
+    }
+  }
+}
+
+export class CoinGeckoProvider {
+  // `retryDelay` is the wait before the first retry, doubled for each next one
+  constructor({ rateLimit, http = axiosHttp, retryDelay = 1000 } = {}) {
+    this.name = 'coingecko';
+    this.http = http;
+    this.retryDelay = retryDelay;
+    this.assetType = 'crypto';
+    this.detailTtl = 30 * 60 * 1000; // 30 minutes for crypto detail
+    this.limiter = new RateLimiter({ ...RATE_LIMIT, ...rateLimit });
+  }
+
+  // CoinGecko picks the granularity from the range: 5-minutely for 1 day,
+  // hourly up to 90 days, daily beyond. A requested interval is not available
+  // on the public API, so it is ignored.
+  intervalFor(days) {
+    if (days <= 1) return '5m';
+    if (days <= 90) return '1h';
+    return '1d';
+  }
+
+  async searchCoins(term) {
+    const response = await getWithRetry(this, `${API_URL}/search`, {
+      params: { query: term },
+      headers: HEADERS,
+      timeout: 10000
+    });
+    return response.data.coins || [];
+  }
+
+  // Map a ticker such as "BTC" (or a coin id such as "bitcoin") to its CoinGecko id
+  async resolveId(query) {
+    const term = query.trim();
+    const matches = (await this.searchCoins(term)).filter(coin =>
+      coin.symbol?.toUpperCase() === term.toUpperCase() || coin.id === term.toLowerCase()
+    );
+    if (matches.length === 0) throw new Error(`CoinGecko has no coin for ${term}`);
+
+    // Several coins can share a ticker; prefer the best ranked one
+    matches.sort((a, b) => (a.market_cap_rank ?? Infinity) - (b.market_cap_rank ?? Infinity));
+    return { symbol: matches[0].symbol.toUpperCase(), id: matches[0].id };
+  }
+
+  // Coins matching a name or ticker, in CoinGecko's relevance order.
+  // Prices are fetched against USD, so that is the currency of every coin.
+  async search(query, limit = 10) {
+    const coins = await this.searchCoins(query.trim());
+    return coins.filter(coin => coin.id && coin.symbol).slice(0, limit).map(coin => ({
+      symbol: coin.symbol.toUpperCase(),
+      id: coin.id,
+      name: coin.name,
+      exchange: coin.market_cap_rank ? `CoinGecko #${coin.market_cap_rank}` : 'CoinGecko',
+      type: 'Crypto',
+      currency: 'USD'
+    }));
+  }
+
+  // Announcements the project posted on CoinGecko. Updates have no title or
+  // link of their own: the first line stands in for the title and the first
+  // URL in the text for the link.
+  async fetchNews(coinId, limit = 10) {
+    const response = await getWithRetry(this, `${API_URL}/coins/${coinId}/status_updates`, {
+      params: { per_page: limit },
+      headers: HEADERS,
+      timeout: 10000
+    });
+
+    const items = (response.data.status_updates || []).filter(update => update.description).map(update => {
+      const text = update.description.trim();
+      return {
+        title: text.split('\n')[0].trim(),
+        publisher: update.user || null,
+        url: /https?:\/\/\S+/.exec(text)?.[0] || null,
+        time: update.created_at ? Date.parse(update.created_at) : null
+      };
+    });
+    return { items, events: [] };
+  }
+
+  async fetchHistory(coinId, days = 7) {
+    const response = await getWithRetry(this, `${API_URL}/coins/${coinId}/market_chart`, {
+      params: { vs_currency: 'usd', days: days >= MAX_DAYS ? 'max' : Math.ceil(days) },
+      headers: HEADERS,
+      timeout: 10000
+    });
+
+    // Build aligned timestamps + prices arrays, filtering invalid points
+    const pairs = response.data.prices || [];
+    const volumeByTs = new Map((response.data.total_volumes || []).map(v => [v?.[0], v?.[1]]));
+    const timestamps = [];
+    const prices = [];
+    const volumes = [];
+    for (const p of pairs) {
+      const ts = p?.[0];
+      const val = p?.[1];
+      if (val !== null && val !== undefined && !isNaN(val)) {
+        timestamps.push(typeof ts === 'number' ? ts : Date.now());
+        prices.push(val);
+        volumes.push(volumeByTs.get(ts) || 0);
+      }
+    }
+
+    // No OHLC here: every point is a single price, candles are built by bucketing
+    return { timestamps, prices, volumes };
+  }
+
+  async fetchQuote(coinId) {
+    const response = await getWithRetry(this, `${API_URL}/simple/price`, {
+      params: {
+        ids: coinId,
+        vs_currencies: 'usd',
+        include_24hr_change: true,
+        include_24hr_vol: true,
+        include_market_cap: true
+      },
+      headers: HEADERS,
+      timeout: 10000
+    });
+
+    const data = response.data[coinId];
+    if (!data) throw new Error(`No quote data for ${coinId}`);
+    return {
+      currency: 'USD',
+      price: data.usd,
+      change24h: data.usd_24h_change,
+      volume: data.usd_24h_vol,
+      marketCap: data.usd_market_cap
+    };
+  }
+
+  // Price and details for many coins in one coins/markets request
+  async fetchQuotes(coinIds) {
+    const response = await getWithRetry(this, `${API_URL}/coins/markets`, {
+      params: { vs_currency: 'usd', ids: coinIds.join(','), per_page: 250 },
+      headers: HEADERS,
+      timeout: 10000
+    });
+
+    const quotes = new Map();
+    for (const coin of response.data || []) {
+      quotes.set(coin.id, {
+        currency: 'USD',
+        price: coin.current_price,
+        change24h: coin.price_change_percentage_24h,
+        high: coin.high_24h,
+        low: coin.low_24h,
+        high52w: coin.ath,
+        low52w: coin.atl,
+        marketCap: coin.market_cap,
+        volume: coin.total_volume,
+        circulatingSupply: coin.circulating_supply,
+        totalSupply: coin.total_supply,
+        rank: coin.market_cap_rank
+      });
+    }
+    return quotes;
+  }
+
+  async fetchDetails(coinId) {
+    const response = await getWithRetry(this, `${API_URL}/coins/${coinId}`, {
+      params: { localization: false, tickers: false, community_data: false, developer_data: false },
+      headers: HEADERS,
+      timeout: 10000
+    });
+
+    const md = response.data.market_data || {};
+    return {
+      currency: 'USD',
+      price: md.current_price?.usd,
+      change24h: md.price_change_percentage_24h,
+      high: md.high_24h?.usd,
+      low: md.low_24h?.usd,
+      high52w: md.ath?.usd,
+      low52w: md.atl?.usd,
+      marketCap: md.market_cap?.usd,
+      volume: md.total_volume?.usd,
+      circulatingSupply: md.circulating_supply,
+      totalSupply: md.total_supply,
+      rank: response.data.market_cap_rank
+    };
+  }
+}
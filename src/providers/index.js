@@ -0,0 +1,73 @@
+import { httpFromEnv } from '../http.js';
+import { CoinGeckoProvider } from './coingecko.js';
+import { YahooProvider } from './yahoo.js';
+
+// Every data source implements the same contract:
+//   name                      unique key used in config.providers
+//   assetType                 type reported when the source gives none
+//   detailTtl                 how long fetchDetails results stay cached (ms)
+//   fetchHistory(id, days, interval?)
+//                             -> { timestamps, prices, ohlc?, volumes?, quote? }
+//                                ohlc = { open, high, low } arrays aligned with prices;
+//                                days >= MAX_DAYS (periods.js) means all history,
+//                                interval is a requested bar size, a hint only
+//   fetchQuote(id)            -> latest price snapshot
+//   fetchDetails(id)          -> extended metrics (market cap, 52w range, ...)
+//   fetchQuotes(ids)          -> Map of id -> quote and details, optional; one
+//                                batch request replaces fetchDetails per refresh
+//   intervalFor(days, interval?)
+//                             -> bar size actually used, optional; series with
+//                                different bar sizes are stored separately
+//   resolveId(query)          -> { symbol, id }, optional; validates user input
+//   search(query)             -> [{ symbol, id, name, exchange, type, currency }],
+//                                optional; assets matching a name or ticker
+//   fetchNews(id)             -> { items: [{ title, publisher, url, time }],
+//                                events: [{ label, time }] }, optional;
+//                                headlines and upcoming dates, times in ms
+//   fetchFundamentals(id)     -> { kind: 'stock' | 'fund', ... }, optional;
+//                                company or fund figures for the details panel
+//   limiter                   RateLimiter the provider sends its requests through,
+//                                optional; each source is throttled independently
+// Built-in providers also take an `http` client (see http.js) so tests and
+// fixture replay can stand in for the network.
+// `id` is the provider's own identifier for the asset (ticker, coin id, ...).
+export class ProviderRegistry {
+  constructor(providers = []) {
+    this.providers = new Map();
+    for (const provider of providers) {
+      this.register(provider);
+    }
+  }
+
+  register(provider) {
+    for (const method of ['fetchHistory', 'fetchQuote', 'fetchDetails']) {
+      if (typeof provider[method] !== 'function') {
+        throw new Error(`Provider "${provider.name}" is missing ${method}()`);
+      }
+    }
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  get(name) {
+    const provider = this.providers.get(name);
+    if (!provider) throw new Error(`Unknown data provider "${name}"`);
+    return provider;
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+}
+
+// `rateLimits` overrides the built-in limits per provider name; `http`
+// defaults to axios, or to recording / replay when STONKS_RECORD /
+// STONKS_REPLAY is set
+export function createDefaultRegistry({ rateLimits = {}, http = httpFromEnv() } = {}) {
+  return new ProviderRegistry([
+    new YahooProvider({ rateLimit: rateLimits.yahoo, http }),
+    new CoinGeckoProvider({ rateLimit: rateLimits.coingecko, http })
+  ]);
+}
+
+export { CoinGeckoProvider, YahooProvider };
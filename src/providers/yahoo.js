@@ -0,0 +1,359 @@
+import { axiosHttp } from '../http.js';
+import { MAX_DAYS } from '../periods.js';
+import { RateLimiter } from '../rateLimiter.js';
+
+const CHART_URL = 'https://query1.finance.yahoo.com/v8/finance/chart';
+const QUOTE_URL = 'https://query1.finance.yahoo.com/v7/finance/quote';
+const SEARCH_URL = 'https://query1.finance.yahoo.com/v1/finance/search';
+const SUMMARY_URL = 'https://query1.finance.yahoo.com/v10/finance/quoteSummary';
+const HEADERS = { 'User-Agent': 'Mozilla/5.0' };
+
+// Yahoo tolerates bursts; a few parallel requests keep large watchlists fast
+const RATE_LIMIT = { tokens: 10, interval: 1000, concurrency: 4 };
+
+// Symbols per v7 quote request
+const QUOTE_BATCH_SIZE = 50;
+
+// Yahoo ranges by length; periods in between are requested with period1/period2
+const RANGES = [[1, '1d'], [7, '7d'], [30, '1mo'], [90, '3mo'], [180, '6mo'], [365, '1y'], [730, '2y'], [1825, '5y'], [3650, '10y']];
+const INTRADAY = /^(\d+)m$|^(1h|60m|90m)$/;
+const MAX_INTRADAY_DAYS = 59; // Yahoo keeps intraday bars for 60 days
+
+// quoteSummary modules for both stocks and funds; Yahoo leaves out the ones
+// that do not apply, so one request covers either
+const SUMMARY_MODULES = [
+  'price', 'summaryDetail', 'defaultKeyStatistics', 'financialData',
+  'assetProfile', 'fundProfile', 'topHoldings'
+];
+const TOP_HOLDINGS = 10;
+
+function defaultInterval(days) {
+  if (days <= 1) return '5m';
+  if (days <= 730) return '1d';
+  if (days <= 3650) return '1wk';
+  return '1mo';
+}
+
+// Map a period onto Yahoo chart parameters; a requested intraday interval
+// is only used while Yahoo still has intraday bars for the whole range
+function chartParams(days, interval) {
+  const usable = interval && (!INTRADAY.test(interval) || days <= MAX_INTRADAY_DAYS);
+  const params = { interval: usable ? interval : defaultInterval(days) };
+
+  if (days >= MAX_DAYS) return { ...params, range: 'max' };
+  const range = RANGES.find(([rangeDays]) => rangeDays === days);
+  if (range) return { ...params, range: range[1] };
+
+  const now = Math.floor(Date.now() / 1000);
+  return { ...params, period1: now - Math.round(days * 86400), period2: now };
+}
+
+// Today's pre-market, regular and after-hours windows in milliseconds
+function tradingPeriods(current) {
+  if (!current?.regular) return undefined;
+  const toMs = (period) => period && { start: period.start * 1000, end: period.end * 1000 };
+  return { pre: toMs(current.pre), regular: toMs(current.regular), post: toMs(current.post) };
+}
+
+// quoteSummary numbers come as { raw, fmt }; dates are in seconds
+function raw(value) {
+  const number = typeof value === 'object' && value !== null ? value.raw : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : null;
+}
+
+function rawDate(value) {
+  const seconds = raw(value);
+  return seconds ? seconds * 1000 : null;
+}
+
+// Exchange and extended-hours fields shared by the v7 quote responses
+function sessionFields(quoteData) {
+  return {
+    exchange: quoteData.fullExchangeName || quoteData.exchange,
+    timezone: quoteData.exchangeTimezoneName,
+    preMarketPrice: quoteData.preMarketPrice,
+    preMarketChange: quoteData.preMarketChangePercent,
+    postMarketPrice: quoteData.postMarketPrice,
+    postMarketChange: quoteData.postMarketChangePercent
+  };
+}
+
+export class YahooProvider {
+  constructor({ rateLimit, http = axiosHttp } = {}) {
+    this.name = 'yahoo';
+    this.http = http;
+    this.assetType = 'stock';
+    this.detailTtl = 0; // Quote details are refreshed together with the chart
+    this.limiter = new RateLimiter({ ...RATE_LIMIT, ...rateLimit });
+  }
+
+  intervalFor(days, interval) {
+    return chartParams(days, interval).interval;
+  }
+
+  async fetchHistory(symbol, days = 7, interval) {
+    const response = await this.limiter.schedule(() => this.http.get(`${CHART_URL}/${encodeURIComponent(symbol)}`, {
+      params: chartParams(days, interval),
+      headers: HEADERS,
+      timeout: 10000
+    }));
+
+    const result = response.data.chart.result[0];
+    const quote = result.indicators.quote[0];
+    const meta = result.meta;
+
+    // Align timestamps and OHLCV bars with close prices, filtering invalid points
+    const rawCloses = quote.close || [];
+    const rawTimestamps = result.timestamp || [];
+    const isValid = (v) => v !== null && v !== undefined && !isNaN(v);
+    const prices = [];
+    const timestamps = [];
+    const ohlc = { open: [], high: [], low: [] };
+    const volumes = [];
+    for (let i = 0; i < rawCloses.length; i++) {
+      const val = rawCloses[i];
+      if (isValid(val)) {
+        prices.push(val);
+        const ts = rawTimestamps[i];
+        timestamps.push(typeof ts === 'number' ? ts * 1000 : Date.now());
+        ohlc.open.push(isValid(quote.open?.[i]) ? quote.open[i] : val);
+        ohlc.high.push(isValid(quote.high?.[i]) ? quote.high[i] : val);
+        ohlc.low.push(isValid(quote.low?.[i]) ? quote.low[i] : val);
+        volumes.push(isValid(quote.volume?.[i]) ? quote.volume[i] : 0);
+      }
+    }
+
+    const previousClose = meta.chartPreviousClose || prices[0] || meta.regularMarketPrice;
+
+    // Get first price of the day as open (approximation)
+    const openPrices = (quote.open || []).filter(p => p !== null && !isNaN(p));
+
+    return {
+      timestamps,
+      prices,
+      ohlc,
+      volumes,
+      // The chart meta already carries a quote snapshot, no need for a second call
+      quote: {
+        currency: meta.currency,
+        type: meta.instrumentType,
+        price: meta.regularMarketPrice,
+        previousClose,
+        open: openPrices[openPrices.length - 1] || previousClose,
+        high: meta.regularMarketDayHigh,
+        low: meta.regularMarketDayLow,
+        high52w: meta.fiftyTwoWeekHigh,
+        low52w: meta.fiftyTwoWeekLow,
+        volume: meta.regularMarketVolume,
+        exchange: meta.fullExchangeName || meta.exchangeName,
+        timezone: meta.exchangeTimezoneName,
+        tradingPeriods: tradingPeriods(meta.currentTradingPeriod)
+      }
+    };
+  }
+
+  async fetchQuote(symbol) {
+    const quoteData = await this.fetchQuoteData(symbol);
+    return {
+      currency: quoteData.currency,
+      type: quoteData.quoteType,
+      price: quoteData.regularMarketPrice,
+      previousClose: quoteData.regularMarketPreviousClose,
+      change24h: quoteData.regularMarketChangePercent,
+      open: quoteData.regularMarketOpen,
+      high: quoteData.regularMarketDayHigh,
+      low: quoteData.regularMarketDayLow,
+      volume: quoteData.regularMarketVolume,
+      ...sessionFields(quoteData)
+    };
+  }
+
+  async fetchDetails(symbol) {
+    const quoteData = await this.fetchQuoteData(symbol);
+    return {
+      change24h: quoteData.regularMarketChangePercent,
+      marketCap: quoteData.marketCap,
+      pe: quoteData.trailingPE || quoteData.forwardPE,
+      avgVolume: quoteData.averageDailyVolume3Month || quoteData.averageDailyVolume10Day,
+      high52w: quoteData.fiftyTwoWeekHigh,
+      low52w: quoteData.fiftyTwoWeekLow,
+      open: quoteData.regularMarketOpen,
+      ...sessionFields(quoteData)
+    };
+  }
+
+  // One request for many symbols. previousClose is left out on purpose: the
+  // reference close for the selected period comes from the chart.
+  async fetchQuotes(symbols) {
+    const quotes = new Map();
+    for (let i = 0; i < symbols.length; i += QUOTE_BATCH_SIZE) {
+      const batch = symbols.slice(i, i + QUOTE_BATCH_SIZE);
+      const response = await this.limiter.schedule(() => this.http.get(QUOTE_URL, {
+        params: { symbols: batch.join(',') },
+        headers: HEADERS,
+        timeout: 5000
+      }));
+
+      for (const quoteData of response.data.quoteResponse?.result || []) {
+        quotes.set(quoteData.symbol, {
+          currency: quoteData.currency,
+          type: quoteData.quoteType,
+          price: quoteData.regularMarketPrice,
+          change24h: quoteData.regularMarketChangePercent,
+          open: quoteData.regularMarketOpen,
+          high: quoteData.regularMarketDayHigh,
+          low: quoteData.regularMarketDayLow,
+          volume: quoteData.regularMarketVolume,
+          marketCap: quoteData.marketCap,
+          pe: quoteData.trailingPE || quoteData.forwardPE,
+          avgVolume: quoteData.averageDailyVolume3Month || quoteData.averageDailyVolume10Day,
+          high52w: quoteData.fiftyTwoWeekHigh,
+          low52w: quoteData.fiftyTwoWeekLow,
+          ...sessionFields(quoteData)
+        });
+      }
+    }
+    return quotes;
+  }
+
+  async resolveId(query) {
+    const symbol = query.trim().toUpperCase();
+    try {
+      const series = await this.fetchHistory(symbol, 1);
+      if (series.prices.length === 0) throw new Error('empty series');
+    } catch (error) {
+      throw new Error(`Yahoo has no data for ${symbol}`);
+    }
+    return { symbol, id: symbol };
+  }
+
+  // Symbols matching a company name or ticker, e.g. THYAO -> THYAO.IS.
+  // Search results carry no currency, so one batch quote adds it.
+  async search(query, limit = 10) {
+    const response = await this.limiter.schedule(() => this.http.get(SEARCH_URL, {
+      params: { q: query.trim(), quotesCount: limit, newsCount: 0 },
+      headers: HEADERS,
+      timeout: 5000
+    }));
+    const matches = (response.data.quotes || []).filter(item => item.symbol && item.isYahooFinance !== false);
+    if (matches.length === 0) return [];
+
+    let quotes = new Map();
+    try {
+      quotes = await this.fetchQuotes(matches.map(item => item.symbol));
+    } catch (error) {
+      console.error('[Yahoo] Error fetching currencies for search results:', error.message);
+    }
+    return matches.slice(0, limit).map(item => ({
+      symbol: item.symbol,
+      id: item.symbol,
+      name: item.longname || item.shortname || item.symbol,
+      exchange: item.exchDisp || item.exchange || null,
+      type: item.typeDisp || item.quoteType || null,
+      currency: quotes.get(item.symbol)?.currency || null
+    }));
+  }
+
+  // Recent headlines from the search feed plus the next earnings and
+  // dividend dates from the quote. The dates are optional: a failed quote
+  // still leaves the headlines.
+  async fetchNews(symbol, limit = 10) {
+    const [search, quote] = await Promise.allSettled([
+      this.limiter.schedule(() => this.http.get(SEARCH_URL, {
+        params: { q: symbol, quotesCount: 0, newsCount: limit },
+        headers: HEADERS,
+        timeout: 5000
+      })),
+      this.fetchQuoteData(symbol)
+    ]);
+    if (search.status === 'rejected') throw search.reason;
+
+    const items = (search.value.data.news || []).filter(item => item.title && item.link).map(item => ({
+      title: item.title,
+      publisher: item.publisher || null,
+      url: item.link,
+      time: item.providerPublishTime ? item.providerPublishTime * 1000 : null
+    }));
+
+    const events = [];
+    if (quote.status === 'fulfilled') {
+      const quoteData = quote.value;
+      const earnings = quoteData.earningsTimestampStart || quoteData.earningsTimestamp;
+      if (earnings) events.push({ label: 'Earnings', time: earnings * 1000 });
+      if (quoteData.exDividendDate) events.push({ label: 'Ex-dividend', time: quoteData.exDividendDate * 1000 });
+      if (quoteData.dividendDate) events.push({ label: 'Dividend', time: quoteData.dividendDate * 1000 });
+    }
+    return { items, events: events.sort((a, b) => a.time - b.time) };
+  }
+
+  // Company or fund figures from quoteSummary. Ratios are fractions
+  // (0.0041 for 0.41%), dates milliseconds; `kind` tells which set is filled.
+  async fetchFundamentals(symbol) {
+    const response = await this.limiter.schedule(() => this.http.get(`${SUMMARY_URL}/${encodeURIComponent(symbol)}`, {
+      params: { modules: SUMMARY_MODULES.join(',') },
+      headers: HEADERS,
+      timeout: 5000
+    }));
+    const summary = response.data.quoteSummary?.result?.[0];
+    if (!summary) throw new Error(`No fundamentals for ${symbol}`);
+
+    const { price = {}, summaryDetail = {}, defaultKeyStatistics: stats = {}, financialData = {} } = summary;
+    const quoteType = price.quoteType;
+    const shared = {
+      currency: price.currency || summaryDetail.currency || null,
+      type: quoteType || null,
+      beta: raw(summaryDetail.beta) ?? raw(stats.beta) ?? raw(stats.beta3Year)
+    };
+
+    if (quoteType === 'ETF' || quoteType === 'MUTUALFUND') {
+      const fund = summary.fundProfile || {};
+      return {
+        kind: 'fund',
+        ...shared,
+        category: fund.categoryName || stats.category || null,
+        family: fund.family || stats.fundFamily || null,
+        expenseRatio: raw(fund.feesExpensesInvestment?.annualReportExpenseRatio) ?? raw(stats.annualReportExpenseRatio),
+        totalAssets: raw(summaryDetail.totalAssets) ?? raw(stats.totalAssets),
+        yield: raw(summaryDetail.yield) ?? raw(summaryDetail.trailingAnnualDividendYield),
+        holdings: (summary.topHoldings?.holdings || []).slice(0, TOP_HOLDINGS).map(holding => ({
+          symbol: holding.symbol || null,
+          name: holding.holdingName || holding.symbol || '',
+          weight: raw(holding.holdingPercent)
+        }))
+      };
+    }
+
+    return {
+      kind: 'stock',
+      ...shared,
+      sector: summary.assetProfile?.sector || null,
+      industry: summary.assetProfile?.industry || null,
+      eps: raw(stats.trailingEps),
+      forwardEps: raw(stats.forwardEps),
+      dividendYield: raw(summaryDetail.dividendYield),
+      exDividendDate: rawDate(summaryDetail.exDividendDate),
+      grossMargin: raw(financialData.grossMargins),
+      operatingMargin: raw(financialData.operatingMargins),
+      profitMargin: raw(financialData.profitMargins) ?? raw(stats.profitMargins),
+      targetLow: raw(financialData.targetLowPrice),
+      targetMean: raw(financialData.targetMeanPrice),
+      targetHigh: raw(financialData.targetHighPrice),
+      recommendation: financialData.recommendationKey && financialData.recommendationKey !== 'none'
+        ? financialData.recommendationKey
+        : null,
+      analysts: raw(financialData.numberOfAnalystOpinions)
+    };
+  }
+
+  async fetchQuoteData(symbol) {
+    const response = await this.limiter.schedule(() => this.http.get(QUOTE_URL, {
+      params: { symbols: symbol },
+      headers: HEADERS,
+      timeout: 5000
+    }));
+
+    const quoteData = response.data.quoteResponse?.result?.[0];
+    if (!quoteData) throw new Error(`No quote data for ${symbol}`);
+    return quoteData;
+  }
+}
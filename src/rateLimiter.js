@@ -0,0 +1,56 @@
+// Token-bucket request queue. Each provider owns one, so a strictly limited
+// API (CoinGecko) queues up on its own while another (Yahoo) runs in parallel.
+// Up to `tokens` requests start per `interval` ms, refilled continuously, with
+// at most `concurrency` in flight; the rest wait in FIFO order.
+export class RateLimiter {
+  constructor({ tokens = 1, interval = 1000, concurrency = Infinity } = {}) {
+    this.capacity = tokens;
+    this.interval = interval;
+    this.concurrency = concurrency;
+    this.tokens = tokens;
+    this.lastRefill = Date.now();
+    this.active = 0;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.drain();
+    });
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.lastRefill) * this.capacity) / this.interval);
+    this.lastRefill = now;
+  }
+
+  drain() {
+    if (this.timer) return;
+
+    while (this.queue.length > 0 && this.active < this.concurrency) {
+      this.refill();
+      if (this.tokens < 1) {
+        const wait = Math.ceil(((1 - this.tokens) * this.interval) / this.capacity);
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.drain();
+        }, wait);
+        return;
+      }
+
+      this.tokens -= 1;
+      this.active++;
+      const { task, resolve, reject } = this.queue.shift();
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+}
@@ -0,0 +1,289 @@
+import { createHash } from 'crypto';
+import http from 'http';
+import { findWatchlist, getWatchlists } from './config.js';
+import { DEFAULT_PERIOD_LABEL, findPeriod, parsePeriods } from './periods.js';
+
+// Local API for other tools: GET /quotes, GET /history/:symbol and a
+// WebSocket at /stream that pushes every refresh. Everything goes through
+// the caller's DataService, so its cache and rate limits are shared.
+// Browser pages are refused unless their origin is listed in
+// config.api.allowedOrigins, so a random site cannot read the watchlist or
+// set off fetches through ?symbols=. The Host header must name this server
+// (localhost, the bound address or config.api.allowedHosts), which keeps out
+// pages that rebind their own domain to 127.0.0.1.
+export const DEFAULT_PORT = 8787;
+export const DEFAULT_HOST = '127.0.0.1';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+const CLOSE_TOO_BIG = 1009;
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Clients only send pings and closes, so anything bigger is refused
+export const MAX_FRAME_SIZE = 64 * 1024;
+
+// Tickers, coin ids and Yahoo symbols such as ^GSPC, EURUSD=X or crypto:BTC
+const SYMBOL = /^[A-Za-z0-9.^=:_-]{1,40}$/;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// One unmasked frame, as servers send them
+export function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(length), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+// Complete client frames at the start of `buffer`, plus the unread rest.
+// `tooLarge` is set, and decoding stops, at a frame longer than `maxSize`,
+// before its payload is buffered.
+export function decodeFrames(buffer, maxSize = MAX_FRAME_SIZE) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let cursor = offset + 2;
+    if (length === 126) {
+      if (buffer.length < cursor + 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) break;
+      length = Number(buffer.readBigUInt64BE(cursor));
+      cursor += 8;
+    }
+    if (length > maxSize) return { frames, rest: buffer.subarray(offset), tooLarge: true };
+    const mask = masked ? buffer.subarray(cursor, cursor + 4) : null;
+    if (masked) cursor += 4;
+    if (buffer.length < cursor + length) break;
+
+    const payload = Buffer.from(buffer.subarray(cursor, cursor + length));
+    if (mask) payload.forEach((byte, i) => { payload[i] = byte ^ mask[i % 4]; });
+    frames.push({ opcode, payload });
+    offset = cursor + length;
+  }
+  return { frames, rest: buffer.subarray(offset), tooLarge: false };
+}
+
+function closeFrame(code) {
+  const payload = Buffer.alloc(2);
+  payload.writeUInt16BE(code);
+  return encodeFrame(OPCODES.close, payload);
+}
+
+// Assets without their series, as served by /quotes and the stream
+function toQuote(asset) {
+  const { history, timestamps, ohlcv, seriesFrom, historyAt, ...quote } = asset;
+  return { ...quote, fromCache: Boolean(asset.fromCache), error: Boolean(asset.error) };
+}
+
+export class ApiServer {
+  // `config` is read on every request, so watchlist edits made meanwhile apply.
+  // Failures of a request go to `onError`: the dashboard shows them in its
+  // status banner rather than writing over the screen.
+  constructor({ dataService, config, port = DEFAULT_PORT, host = DEFAULT_HOST, onError = message => console.error(message) }) {
+    this.dataService = dataService;
+    this.config = config;
+    this.port = port;
+    this.host = host;
+    this.onError = onError;
+    this.allowedOrigins = config.api?.allowedOrigins || [];
+    this.allowedHosts = [...LOCAL_HOSTS, host.includes(':') ? `[${host}]` : host, ...(config.api?.allowedHosts || [])]
+      .map(name => name.toLowerCase());
+    this.clients = new Set();
+    this.current = null; // Watchlist and period of the last published refresh
+    this.latest = null; // Last refresh message, sent to new stream clients
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.server.on('upgrade', (req, socket) => this.handleUpgrade(req, socket));
+  }
+
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  close() {
+    for (const socket of this.clients) socket.end(encodeFrame(OPCODES.close));
+    this.clients.clear();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  // Called after each refresh of the watchlist being shown
+  publish(list, period, assets) {
+    this.current = { list, period };
+    this.latest = JSON.stringify({
+      type: 'refresh',
+      list,
+      period: period.label,
+      timestamp: Date.now(),
+      assets: assets.map(toQuote)
+    });
+    for (const socket of this.clients) socket.write(encodeFrame(OPCODES.text, Buffer.from(this.latest)));
+  }
+
+  // Requests without an Origin header come from scripts and tools, not pages
+  originAllowed(req) {
+    const origin = req.headers.origin;
+    return !origin || this.allowedOrigins.includes(origin);
+  }
+
+  // Host must be one of ours, on the port actually bound
+  hostAllowed(req) {
+    const match = /^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/.exec(req.headers.host || '');
+    if (!match) return false;
+    const port = Number(match[2] || 80);
+    return this.allowedHosts.includes(match[1].toLowerCase()) && port === this.server.address()?.port;
+  }
+
+  resolvePeriod(value) {
+    const periods = parsePeriods(this.config.periods);
+    if (!value) return this.current?.period || findPeriod(DEFAULT_PERIOD_LABEL, periods);
+    const period = findPeriod(value, periods);
+    if (!period) throw new HttpError(400, `Unknown period "${value}"`);
+    return period;
+  }
+
+  // Tickers from ?symbols=A,B, else ?list=NAME, else the list being shown
+  resolveTickers(params) {
+    const symbols = params.get('symbols');
+    if (symbols) {
+      return { list: null, tickers: symbols.split(',').map(s => s.trim().toUpperCase()).filter(Boolean) };
+    }
+    const name = params.get('list') || this.current?.list;
+    const list = name ? findWatchlist(this.config, name) : getWatchlists(this.config)[0];
+    if (!list) throw new HttpError(404, `Unknown watchlist "${name}"`);
+    return { list: list.name, tickers: list.tickers };
+  }
+
+  async quotes(params) {
+    const period = this.resolvePeriod(params.get('period'));
+    const { list, tickers } = this.resolveTickers(params);
+    const assets = await this.dataService.fetchAllAssets(tickers, this.config.cryptoIds, period);
+    return { list, period: period.label, assets: assets.map(toQuote) };
+  }
+
+  async history(symbol, params) {
+    if (!SYMBOL.test(symbol)) throw new HttpError(400, `Invalid symbol "${symbol}"`);
+    const period = this.resolvePeriod(params.get('period'));
+    const [asset] = await this.dataService.fetchAllAssets([symbol.toUpperCase()], this.config.cryptoIds, period);
+    if (asset.error && !asset.timestamps) throw new HttpError(502, `No data for ${asset.symbol}`);
+    return {
+      symbol: asset.symbol,
+      period: period.label,
+      currency: asset.currency,
+      timestamps: asset.timestamps || [],
+      prices: asset.history,
+      ohlcv: asset.ohlcv,
+      fromCache: Boolean(asset.fromCache)
+    };
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, body) => {
+      const headers = { 'Content-Type': 'application/json' };
+      if (req.headers.origin && this.originAllowed(req)) {
+        headers['Access-Control-Allow-Origin'] = req.headers.origin;
+        headers.Vary = 'Origin';
+      }
+      res.writeHead(status, headers);
+      res.end(JSON.stringify(body));
+    };
+
+    try {
+      if (!this.hostAllowed(req)) throw new HttpError(403, `Host ${req.headers.host} is not allowed`);
+      if (!this.originAllowed(req)) throw new HttpError(403, `Origin ${req.headers.origin} is not allowed`);
+      if (req.method !== 'GET') throw new HttpError(405, 'Only GET is supported');
+      const historyMatch = /^\/history\/([^/]+)$/.exec(url.pathname);
+      if (url.pathname === '/quotes') {
+        send(200, await this.quotes(url.searchParams));
+      } else if (historyMatch) {
+        let symbol;
+        try {
+          symbol = decodeURIComponent(historyMatch[1]);
+        } catch (error) {
+          throw new HttpError(400, 'Invalid symbol');
+        }
+        send(200, await this.history(symbol, url.searchParams));
+      } else {
+        throw new HttpError(404, 'Not found; try /quotes, /history/:symbol or /stream');
+      }
+    } catch (error) {
+      if (!error.status) this.onError(`[Server] ${req.method} ${req.url}: ${error.message}`);
+      send(error.status || 500, { error: error.message });
+    }
+  }
+
+  handleUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (new URL(req.url, 'http://localhost').pathname !== '/stream' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    if (!this.hostAllowed(req) || !this.originAllowed(req)) {
+      socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+      return;
+    }
+
+    const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+    this.clients.add(socket);
+    if (this.latest) socket.write(encodeFrame(OPCODES.text, Buffer.from(this.latest)));
+
+    // Clients only need answering on ping and close; their messages are ignored
+    let pending = Buffer.alloc(0);
+    let closed = false;
+    socket.on('data', (chunk) => {
+      if (closed) return;
+      const { frames, rest, tooLarge } = decodeFrames(Buffer.concat([pending, chunk]));
+      pending = rest;
+      if (tooLarge) {
+        closed = true;
+        pending = Buffer.alloc(0);
+        this.clients.delete(socket);
+        socket.end(closeFrame(CLOSE_TOO_BIG));
+        return;
+      }
+      for (const { opcode, payload } of frames) {
+        if (opcode === OPCODES.ping) socket.write(encodeFrame(OPCODES.pong, payload));
+        if (opcode === OPCODES.close) {
+          this.clients.delete(socket);
+          socket.end(encodeFrame(OPCODES.close));
+        }
+      }
+    });
+    socket.on('close', () => this.clients.delete(socket));
+    socket.on('error', () => this.clients.delete(socket));
+  }
+}
@@ -0,0 +1,105 @@
+// Trading sessions per exchange: pre-market, open, after-hours or closed.
+// Hours come from Yahoo's trading periods (converted to the exchange's local
+// time, so they carry over to later days) or, when an asset has none yet,
+// from the calendar below keyed by exchange time zone. Holidays are not
+// known; the first refresh on a holiday simply finds nothing new.
+
+const MINUTE = 60 * 1000;
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const DAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Local minutes after midnight: pre-market start, open, close, after-hours end
+const CALENDARS = {
+  'America/New_York': { pre: 4 * 60, open: 9 * 60 + 30, close: 16 * 60, post: 20 * 60 },
+  'Europe/Istanbul': { open: 10 * 60, close: 18 * 60 },
+  'Europe/London': { open: 8 * 60, close: 16 * 60 + 30 },
+  'Europe/Berlin': { open: 9 * 60, close: 17 * 60 + 30 },
+  'Europe/Paris': { open: 9 * 60, close: 17 * 60 + 30 },
+  'Asia/Tokyo': { open: 9 * 60, close: 15 * 60 + 30 },
+  'Asia/Hong_Kong': { open: 9 * 60 + 30, close: 16 * 60 }
+};
+
+export const SESSION_LABELS = { pre: 'PRE', open: 'OPEN', post: 'POST', closed: 'CLOSED' };
+
+const DAY_MINUTES = 24 * 60;
+
+const formatters = new Map();
+
+function localTime(timestamp, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }));
+  }
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(new Date(timestamp)).map(p => [p.type, p.value]));
+  return { day: DAY_INDEX[parts.weekday], minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+// Session hours for an asset, or null when it trades around the clock or
+// nothing is known about its exchange
+export function calendarFor(asset) {
+  if (!asset || asset.type === 'crypto' || !asset.timezone) return null;
+
+  const periods = asset.tradingPeriods;
+  if (periods?.regular) {
+    try {
+      const at = (timestamp) => localTime(timestamp, asset.timezone).minutes;
+      const open = at(periods.regular.start);
+      const close = at(periods.regular.end);
+      return {
+        days: WEEKDAYS,
+        open,
+        close,
+        pre: periods.pre && periods.pre.start < periods.regular.start ? at(periods.pre.start) : open,
+        post: periods.post && periods.post.end > periods.regular.end ? at(periods.post.end) : close
+      };
+    } catch (error) {
+      return null; // Unknown time zone
+    }
+  }
+
+  const calendar = CALENDARS[asset.timezone];
+  if (!calendar) return null;
+  return { days: WEEKDAYS, pre: calendar.open, post: calendar.close, ...calendar };
+}
+
+// 'pre', 'open', 'post' or 'closed'; always 'open' without a calendar
+export function marketSession(asset, now = Date.now()) {
+  const calendar = calendarFor(asset);
+  if (!calendar) return 'open';
+
+  const { day, minutes } = localTime(now, asset.timezone);
+  if (!calendar.days.includes(day)) return 'closed';
+  if (minutes >= calendar.open && minutes < calendar.close) return 'open';
+  if (minutes >= calendar.pre && minutes < calendar.open) return 'pre';
+  if (minutes >= calendar.close && minutes < calendar.post) return 'post';
+  return 'closed';
+}
+
+// First moment after `since` at which trading (pre-market included) starts,
+// worked out from the calendar: the next trading day's first session minute,
+// corrected once for a daylight saving change in between
+export function nextSessionStart(asset, since) {
+  const calendar = calendarFor(asset);
+  if (!calendar) return null;
+
+  const start = Math.min(calendar.pre, calendar.open);
+  const { day, minutes } = localTime(since, asset.timezone);
+  for (let ahead = 0; ahead <= 7; ahead++) {
+    if (!calendar.days.includes((day + ahead) % 7) || (ahead === 0 && minutes >= start)) continue;
+    const estimate = since - (since % MINUTE) + (ahead * DAY_MINUTES + start - minutes) * MINUTE;
+    const drift = localTime(estimate, asset.timezone).minutes - start;
+    // A shift of a few hours at most; anything larger wraps around midnight
+    const correction = drift > DAY_MINUTES / 2 ? drift - DAY_MINUTES : drift < -DAY_MINUTES / 2 ? drift + DAY_MINUTES : drift;
+    return estimate - correction * MINUTE;
+  }
+  return null;
+}
+
+// True when the market was closed at `since` and has stayed closed until
+// `now`, so a snapshot taken at `since` is still current
+export function closedSince(asset, since, now = Date.now()) {
+  if (!calendarFor(asset) || !since || since > now) return false;
+  if (marketSession(asset, since) !== 'closed') return false;
+  return now < nextSessionStart(asset, since);
+}
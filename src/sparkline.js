@@ -0,0 +1,22 @@
+// One-line price trend from eighth-height block characters.
+
+const BLOCKS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+
+// Resample `values` to `width` points (mean of each bucket) and map to blocks
+export function sparkline(values, width) {
+  const points = (values || []).filter(v => v !== null && v !== undefined && !Number.isNaN(v));
+  if (points.length === 0 || width <= 0) return '';
+
+  const buckets = [];
+  const size = points.length / Math.min(width, points.length);
+  for (let start = 0; start < points.length; start += size) {
+    const slice = points.slice(Math.floor(start), Math.max(Math.floor(start) + 1, Math.floor(start + size)));
+    buckets.push(slice.reduce((a, b) => a + b, 0) / slice.length);
+  }
+
+  const min = Math.min(...buckets);
+  const span = Math.max(...buckets) - min;
+  return buckets
+    .map(v => BLOCKS[span > 0 ? Math.round(((v - min) / span) * (BLOCKS.length - 1)) : 3])
+    .join('');
+}
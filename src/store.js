@@ -0,0 +1,179 @@
+import { appendFileSync, existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import path from 'path';
+
+const DAY = 24 * 60 * 60 * 1000;
+// 1970-01-01 was a Thursday; weekly bars start on Mondays like Yahoo's
+const FIRST_MONDAY = 4 * DAY;
+
+// Start of the bar of size `interval` ('5m', '1h', '1d', '1wk', '1mo') that
+// holds `t`, in UTC; null for bar sizes it does not know
+export function barStart(t, interval) {
+  const match = /^(\d+)(m|h|d|wk|mo)$/.exec(interval || '');
+  if (!match) return null;
+  const count = Number(match[1]);
+  if (match[2] === 'mo') {
+    const date = new Date(t);
+    const months = date.getUTCFullYear() * 12 + date.getUTCMonth();
+    const start = months - (months % count);
+    return Date.UTC(Math.floor(start / 12), start % 12, 1);
+  }
+  if (match[2] === 'wk') {
+    const size = count * 7 * DAY;
+    return Math.floor((t - FIRST_MONDAY) / size) * size + FIRST_MONDAY;
+  }
+  const size = count * { m: 60 * 1000, h: 60 * 60 * 1000, d: DAY }[match[2]];
+  return Math.floor(t / size) * size;
+}
+
+// Append-only store of price bars, one NDJSON file per series.
+// Each line is a bar { t, o, h, l, c, v }; a later line with the same `t`
+// replaces an earlier one (the current bar keeps changing until it closes).
+// Given the bar size, a bar falling in the period of a stored one with
+// another `t` (a live bar stamped with the fetch time) updates that bar.
+// Files are compacted - duplicates dropped, old and excess bars pruned - once
+// they grow to twice the point limit.
+export class TimeSeriesStore {
+  constructor(dir, { maxAgeDays = 5 * 365, maxPoints = 10000 } = {}) {
+    this.dir = dir;
+    this.maxAge = maxAgeDays * DAY;
+    this.maxPoints = maxPoints;
+    this.series = new Map(); // key -> { points: Map<t, bar>, lines }
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${encodeURIComponent(key)}.ndjson`);
+  }
+
+  load(key) {
+    if (this.series.has(key)) return this.series.get(key);
+
+    const entry = { points: new Map(), lines: 0 };
+    const file = this.filePath(key);
+    try {
+      if (existsSync(file)) {
+        for (const line of readFileSync(file, 'utf-8').split('\n')) {
+          if (!line) continue;
+          try {
+            const bar = JSON.parse(line);
+            if (typeof bar.t === 'number') entry.points.set(bar.t, bar);
+            entry.lines++;
+          } catch (e) {
+            // Skip a torn last line from an interrupted write
+          }
+        }
+      }
+    } catch (error) {
+      console.error(`[Store] Error reading ${key}:`, error.message);
+    }
+
+    this.series.set(key, entry);
+    if (entry.lines > this.maxPoints * 2) this.compact(key);
+    return entry;
+  }
+
+  // Merge bars into a series, writing only the ones that are new or changed
+  append(key, bars, { interval = null } = {}) {
+    const entry = this.load(key);
+    const merged = barStart(0, interval) === null ? bars : this.alignToStored(entry, bars, interval);
+    const changed = merged.filter(bar => {
+      const existing = entry.points.get(bar.t);
+      return !existing || existing.c !== bar.c || existing.h !== bar.h || existing.l !== bar.l || existing.v !== bar.v;
+    });
+    if (changed.length === 0) return;
+
+    for (const bar of changed) entry.points.set(bar.t, bar);
+    entry.lines += changed.length;
+    try {
+      mkdirSync(this.dir, { recursive: true });
+      appendFileSync(this.filePath(key), changed.map(bar => JSON.stringify(bar)).join('\n') + '\n');
+    } catch (error) {
+      console.error(`[Store] Error writing ${key}:`, error.message);
+    }
+
+    if (entry.lines > this.maxPoints * 2) this.compact(key);
+  }
+
+  // Move bars onto the stored bar of the same period, so a provider stamping
+  // its live bar with the current time does not add a point per fetch
+  alignToStored(entry, bars, interval) {
+    const from = bars.reduce((min, bar) => Math.min(min, barStart(bar.t, interval)), Infinity);
+    const byStart = new Map();
+    for (const t of entry.points.keys()) {
+      if (t >= from) byStart.set(barStart(t, interval), t);
+    }
+
+    const aligned = new Map();
+    for (const bar of [...bars].sort((a, b) => a.t - b.t)) {
+      const start = barStart(bar.t, interval);
+      const t = entry.points.has(bar.t) ? bar.t : byStart.get(start) ?? bar.t;
+      const earlier = t === bar.t ? null : aligned.get(t) || entry.points.get(t);
+      aligned.set(t, earlier
+        ? { ...bar, t, o: earlier.o, h: Math.max(earlier.h, bar.h), l: Math.min(earlier.l, bar.l) }
+        : bar);
+      if (!byStart.has(start)) byStart.set(start, t);
+    }
+    return [...aligned.values()];
+  }
+
+  // Bars at or after `since`, oldest first
+  read(key, since = 0) {
+    const entry = this.load(key);
+    return [...entry.points.values()]
+      .filter(bar => bar.t >= since)
+      .sort((a, b) => a.t - b.t);
+  }
+
+  // Rewrite a series without duplicates, dropping bars past the age and size limits
+  compact(key) {
+    const entry = this.load(key);
+    const cutoff = Date.now() - this.maxAge;
+    const bars = [...entry.points.values()]
+      .filter(bar => bar.t >= cutoff)
+      .sort((a, b) => a.t - b.t)
+      .slice(-this.maxPoints);
+
+    entry.points = new Map(bars.map(bar => [bar.t, bar]));
+    entry.lines = bars.length;
+
+    const file = this.filePath(key);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    try {
+      mkdirSync(this.dir, { recursive: true });
+      writeFileSync(tmpFile, bars.map(bar => JSON.stringify(bar)).join('\n') + (bars.length ? '\n' : ''));
+      renameSync(tmpFile, file);
+    } catch (error) {
+      console.error(`[Store] Error compacting ${key}:`, error.message);
+    }
+  }
+}
+
+// Convert between provider series ({ timestamps, prices, ohlc, volumes }) and stored bars
+export function seriesToBars(series) {
+  const timestamps = series.timestamps || [];
+  const prices = series.prices || [];
+  const bars = [];
+  for (let i = 0; i < prices.length && i < timestamps.length; i++) {
+    bars.push({
+      t: timestamps[i],
+      o: series.ohlc?.open?.[i] ?? prices[i],
+      h: series.ohlc?.high?.[i] ?? prices[i],
+      l: series.ohlc?.low?.[i] ?? prices[i],
+      c: prices[i],
+      v: series.volumes?.[i] || 0
+    });
+  }
+  return bars;
+}
+
+export function barsToSeries(bars) {
+  return {
+    timestamps: bars.map(bar => bar.t),
+    prices: bars.map(bar => bar.c),
+    ohlc: {
+      open: bars.map(bar => bar.o),
+      high: bars.map(bar => bar.h),
+      low: bars.map(bar => bar.l)
+    },
+    volumes: bars.map(bar => bar.v)
+  };
+}
@@ -0,0 +1,92 @@
+import chalk from 'chalk';
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { expandPath } from './paths.js';
+
+// Themes name a color for each role the dashboard draws with (borders,
+// up/down moves, warnings, the status bar) plus a palette that remaps the
+// fixed colors of chart lines and indicators. Colors are blessed names
+// (cyan, gray, ...) or #rrggbb. A theme may extend another and only
+// override what differs.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const THEMES_DIR = path.resolve(__dirname, '../themes');
+export const DEFAULT_THEME = 'cyberpunk';
+
+// Guards against themes extending each other in a loop
+const MAX_EXTENDS = 5;
+
+// Colors the chart canvas knows by name; gray and #rrggbb go as RGB
+const CANVAS_COLORS = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+const NAMED_RGB = { gray: [128, 128, 128], grey: [128, 128, 128] };
+
+export function listThemes() {
+  if (!existsSync(THEMES_DIR)) return [];
+  return readdirSync(THEMES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+// A bundled theme by name, or a JSON file when the value looks like a path
+function readTheme(name) {
+  const file = /[/\\]|\.json$/.test(name) ? expandPath(name) : path.join(THEMES_DIR, `${name}.json`);
+  if (!existsSync(file)) {
+    throw new Error(`Unknown theme "${name}", expected ${listThemes().join(', ')} or a .json file`);
+  }
+  return JSON.parse(readFileSync(file, 'utf-8'));
+}
+
+function mergeTheme(spec, depth = 0) {
+  const theme = typeof spec === 'string' ? readTheme(spec) : spec;
+  if (!theme.extends || depth >= MAX_EXTENDS) {
+    return { colors: { ...theme.colors }, palette: { ...theme.palette } };
+  }
+  const base = mergeTheme(theme.extends, depth + 1);
+  return {
+    colors: { ...base.colors, ...theme.colors },
+    palette: { ...base.palette, ...theme.palette }
+  };
+}
+
+// Resolve config.theme (a name, a path or an inline object) on top of the
+// default theme, so every role has a color even in partial themes
+export function loadTheme(spec = DEFAULT_THEME) {
+  const base = mergeTheme(DEFAULT_THEME);
+  let theme = base;
+  try {
+    const custom = mergeTheme(spec || DEFAULT_THEME);
+    theme = {
+      colors: { ...base.colors, ...custom.colors },
+      palette: { ...base.palette, ...custom.palette }
+    };
+  } catch (error) {
+    console.error('[Theme] Error loading theme, using the default:', error.message);
+  }
+  return {
+    ...theme.colors,
+    // Chart and indicator colors go through the palette
+    line: (color) => theme.palette[color] || color
+  };
+}
+
+// Color for the chart canvas, which takes plain names or RGB triples
+export function canvasColor(color) {
+  if (CANVAS_COLORS.includes(color)) return color;
+  if (NAMED_RGB[color]) return NAMED_RGB[color];
+  const hex = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || '');
+  return hex ? hex.slice(1).map(part => parseInt(part, 16)) : 'white';
+}
+
+// Color text for cells outside blessed tags (the watchlist table)
+export function paint(color, text, background = null) {
+  const fg = color.startsWith('#') ? chalk.hex(color) : (chalk[color] || chalk.white);
+  if (!background) return fg(text);
+  return (background.startsWith('#') ? fg.bgHex(background) : (fg[`bg${background[0].toUpperCase()}${background.slice(1)}`] || fg))(text);
+}
+
+// Same as a blessed {color-fg} tag pair
+export function tag(color, text) {
+  return `{${color}-fg}${text}{/${color}-fg}`;
+}
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it } from 'node:test';
+import { AlertEngine, commandSink } from '../src/alerts.js';
+
+describe('AlertEngine', () => {
+  const asset = (price) => ({ symbol: 'AAPL', price, change: 0 });
+
+  it('fires once per crossing and keeps its state in a directory it creates', () => {
+    const dir = mkdtempSync(path.join(os.tmpdir(), 'stonks-alerts-'));
+    try {
+      const statePath = path.join(dir, 'cache', 'stonks-dashboard', 'alerts-state.json');
+      const engine = new AlertEngine({ rules: [{ symbol: 'AAPL', type: 'above', value: 250 }], statePath });
+
+      assert.equal(engine.evaluate([asset(252)]).length, 1);
+      assert.deepEqual(JSON.parse(readFileSync(statePath, 'utf-8')), ['AAPL:above:250']);
+      assert.equal(engine.evaluate([asset(253)]).length, 0);
+
+      // Remembered across restarts, re-armed once the price drops back
+      const restarted = new AlertEngine({ rules: engine.rules, statePath });
+      assert.equal(restarted.evaluate([asset(254)]).length, 0);
+      restarted.evaluate([asset(249)]);
+      assert.equal(restarted.evaluate([asset(251)]).length, 1);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('hands sink and command failures to onError instead of the terminal', async () => {
+    const messages = [];
+    const onError = message => messages.push(message);
+    const engine = new AlertEngine({ rules: [{ symbol: '*', type: 'above', value: 1 }], onError });
+    engine.addSink('broken', () => { throw new Error('no display'); });
+    engine.evaluate([asset(2)]);
+    assert.deepEqual(messages, ['[Alerts] Sink broken failed: no display']);
+
+    await new Promise((resolve) => {
+      commandSink('exit 3', (message) => {
+        messages.push(message);
+        resolve();
+      })({ symbol: 'AAPL', type: 'above', message: 'AAPL above 1', price: 2 });
+    });
+    assert.match(messages[1], /^\[Alerts\] Command failed: /);
+  });
+});
@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { browserCommand, isWebUrl } from '../src/browser.js';
+
+describe('browserCommand', () => {
+  const url = 'https://example.com/a?b=1&c=2%20d';
+
+  it('uses the opener of each platform', () => {
+    assert.deepEqual(browserCommand(url, { platform: 'darwin', env: {} }), ['open', [url]]);
+    assert.deepEqual(browserCommand(url, { platform: 'linux', env: { DISPLAY: ':0' } }), ['xdg-open', [url]]);
+    assert.deepEqual(browserCommand(url, { platform: 'win32', env: {} }), ['rundll32', ['url.dll,FileProtocolHandler', url]]);
+  });
+
+  it('gives up on Linux without a display', () => {
+    assert.equal(browserCommand(url, { platform: 'linux', env: {} }), null);
+  });
+
+  it('refuses anything but http(s) links', () => {
+    const hostile = [
+      'file:///etc/passwd',
+      '/Applications/Calculator.app',
+      'javascript:alert(1)',
+      'smb://attacker/share',
+      'https://example.com/ & calc.exe',
+      'https://example.com/\n--flag',
+      ' https://example.com/',
+      'https://',
+      null
+    ];
+    for (const platform of ['darwin', 'win32', 'linux']) {
+      for (const link of hostile) {
+        assert.equal(browserCommand(link, { platform, env: { DISPLAY: ':0' } }), null, `${platform}: ${link}`);
+      }
+    }
+  });
+
+  it('passes cmd metacharacters through as one argument, never to a shell', () => {
+    const link = 'https://example.com/?a=|calc^&b=<x>%PATH%';
+    assert.equal(isWebUrl(link), true);
+    const [command, args] = browserCommand(link, { platform: 'win32', env: {} });
+    assert.equal(command, 'rundll32');
+    assert.deepEqual(args, ['url.dll,FileProtocolHandler', link]);
+  });
+});
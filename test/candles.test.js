@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildCandles, renderCandles, renderVolume } from '../src/candles.js';
+
+describe('buildCandles', () => {
+  it('groups consecutive bars into candles', () => {
+    const candles = buildCandles({
+      open: [1, 2, 3, 4],
+      high: [2, 3, 4, 5],
+      low: [0.5, 1.5, 2.5, 3.5],
+      close: [1.5, 2.5, 3.5, 4.5],
+      volume: [10, 20, 30, 40]
+    }, 2);
+    assert.deepEqual(candles, [
+      { open: 1, close: 2.5, high: 3, low: 0.5, volume: 30 },
+      { open: 3, close: 4.5, high: 5, low: 2.5, volume: 70 }
+    ]);
+  });
+
+  it('builds candles from closes alone', () => {
+    assert.deepEqual(buildCandles({ close: [3, 1, 2] }, 1), [{ open: 3, close: 2, high: 3, low: 1, volume: 0 }]);
+    assert.equal(buildCandles({ close: [1, 2] }, 5).length, 2);
+    assert.deepEqual(buildCandles(null, 5), []);
+  });
+});
+
+describe('renderCandles', () => {
+  const candles = [
+    { open: 1, close: 1.5, high: 2, low: 0.5, volume: 10 },
+    { open: 3, close: 2.8, high: 4, low: 2.5, volume: 40 }
+  ];
+
+  it('draws bodies, wicks and the price axis', () => {
+    assert.equal(renderCandles(candles, 8, 5, String, 4), [
+      '  4   {red-fg}│{/red-fg} ',
+      '      {red-fg}█{/red-fg} ',
+      '2.2 {green-fg}│{/green-fg} {red-fg}│{/red-fg} ',
+      '    {green-fg}█{/green-fg}   ',
+      '0.5 {green-fg}│{/green-fg}   '
+    ].join('\n'));
+  });
+
+  it('keeps the latest candles that fit and draws nothing without room', () => {
+    const last = renderCandles(candles, 6, 5, String, 4).split('\n');
+    assert.ok(last.every(row => !row.includes('green')));
+    assert.equal(renderCandles(candles, 4, 5, String, 4), '');
+    assert.equal(renderCandles([], 20, 5), '');
+  });
+});
+
+describe('renderVolume', () => {
+  it('scales bars to the largest volume in view', () => {
+    const candles = [{ open: 1, close: 2, volume: 10 }, { open: 2, close: 1, volume: 40 }];
+    assert.equal(renderVolume(candles, 8, 2, String, 4), [
+      ' 40   {red-fg}█{/red-fg} ',
+      '    {green-fg}▄{/green-fg} {red-fg}█{/red-fg} '
+    ].join('\n'));
+  });
+
+  it('says so when there is no volume', () => {
+    assert.match(renderVolume([{ open: 1, close: 1, volume: 0 }], 8, 2, String, 4), /no volume data/);
+  });
+});
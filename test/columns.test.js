@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+import { COLUMNS, DEFAULT_COLUMNS, layoutColumns, resolveColumns, sortAssets } from '../src/columns.js';
+
+describe('layoutColumns', () => {
+  const layout = (keys, width) => layoutColumns(keys, width).map(c => [c.key, c.width]);
+
+  it('gives the flex column the width left over', () => {
+    assert.deepEqual(layout(DEFAULT_COLUMNS, 40), [['symbol', 11], ['price', 12], ['change', 9], ['sparkline', 8]]);
+  });
+
+  it('drops fixed columns that do not fit, then a flex column below its minimum', () => {
+    assert.deepEqual(layout(DEFAULT_COLUMNS, 30), [['symbol', 11], ['price', 12], ['sparkline', 7]]);
+    assert.deepEqual(layout(DEFAULT_COLUMNS, 25), [['symbol', 11], ['price', 12]]);
+    assert.deepEqual(layout(['price', 'symbol'], 5), [['price', 12]]); // The first column always stays
+  });
+});
+
+describe('resolveColumns', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('drops unknown names and falls back to the defaults', () => {
+    const errors = mock.method(console, 'error', () => {});
+    assert.deepEqual(resolveColumns(['symbol', 'beta', 'pe']), ['symbol', 'pe']);
+    assert.deepEqual(resolveColumns(['beta']), DEFAULT_COLUMNS);
+    assert.deepEqual(resolveColumns(undefined), DEFAULT_COLUMNS);
+    assert.equal(errors.mock.callCount(), 2);
+  });
+});
+
+describe('sortAssets', () => {
+  const assets = [
+    { symbol: 'MSFT', pe: 35, price: 500 },
+    { symbol: 'BTC', pe: 0, price: 100000 },
+    { symbol: 'AAPL', pe: 38, price: 250 }
+  ];
+  const symbols = list => list.map(a => a.symbol);
+
+  it('sorts both ways with missing values last', () => {
+    assert.deepEqual(symbols(sortAssets(assets, 'pe', false)), ['MSFT', 'AAPL', 'BTC']);
+    assert.deepEqual(symbols(sortAssets(assets, 'pe', true)), ['AAPL', 'MSFT', 'BTC']);
+    assert.deepEqual(symbols(sortAssets(assets, 'symbol', false)), ['AAPL', 'BTC', 'MSFT']);
+  });
+
+  it('sorts by what the table shows', () => {
+    const inTry = asset => ({ ...asset, price: asset.symbol === 'AAPL' ? asset.price * 1000 : asset.price });
+    assert.deepEqual(symbols(sortAssets(assets, 'price', true, inTry)), ['AAPL', 'BTC', 'MSFT']);
+    assert.equal(sortAssets(assets, 'nope', true), assets);
+  });
+});
+
+describe('COLUMNS', () => {
+  it('formats the distance from the 52-week high', () => {
+    const column = COLUMNS.from52wHigh;
+    assert.equal(column.format({ price: 90, high52w: 100 }), '-10.00%');
+    assert.equal(column.value({ price: 90, high52w: 0 }), null);
+    assert.equal(column.format({ price: 90, high52w: 0 }), 'N/A');
+  });
+
+  it('shows 24H for assets without exchange hours', () => {
+    assert.equal(COLUMNS.session.format({ type: 'crypto' }), '24H');
+    assert.equal(COLUMNS.session.value({ type: 'crypto' }), null);
+  });
+});
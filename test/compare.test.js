@@ -0,0 +1,36 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { alignPercentChange } from '../src/compare.js';
+
+const rounded = lines => lines.map(line => ({ ...line, values: line.values.map(v => Number(v.toFixed(9))) }));
+
+describe('alignPercentChange', () => {
+  const crypto = { symbol: 'BTC', timestamps: [0, 10, 20], prices: [100, 110, 120] };
+  const stock = { symbol: 'AAPL', timestamps: [5, 15, 20], prices: [50, 50, 60] };
+
+  it('samples every series on a shared grid from the latest start', () => {
+    const { timestamps, lines } = alignPercentChange([crypto, stock]);
+    assert.deepEqual(timestamps, [5, 13, 20]);
+    assert.deepEqual(rounded(lines), [
+      { symbol: 'BTC', values: [0, 10, 20] },
+      { symbol: 'AAPL', values: [0, 0, 20] } // Flat until its next bar
+    ]);
+  });
+
+  it('caps the grid at maxPoints', () => {
+    const { timestamps, lines } = alignPercentChange([crypto], 2);
+    assert.deepEqual(timestamps, [0, 20]);
+    assert.deepEqual(rounded(lines)[0].values, [0, 20]);
+  });
+
+  it('skips series whose timestamps and prices do not line up', () => {
+    const broken = { symbol: 'X', timestamps: [0, 10], prices: [1] };
+    assert.deepEqual(alignPercentChange([broken, { symbol: 'Y' }]), { timestamps: [], lines: [] });
+    assert.deepEqual(alignPercentChange([broken, crypto]).lines.map(l => l.symbol), ['BTC']);
+  });
+
+  it('rebases on the first positive price', () => {
+    const { lines } = alignPercentChange([{ symbol: 'Z', timestamps: [0, 1, 2], prices: [0, 4, 5] }]);
+    assert.deepEqual(rounded(lines)[0].values, [0, 0, 25]);
+  });
+});
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it } from 'node:test';
+import { addWatchlistTicker, CONFIG_PATH, loadConfig, saveConfig, USER_CONFIG_PATH } from '../src/config.js';
+
+describe('addWatchlistTicker', () => {
+  const config = () => ({
+    watchlists: { Main: ['AAPL', 'BTC'], BIST: ['THYAO.IS'] },
+    cryptoIds: { BTC: 'bitcoin' }
+  });
+
+  it('appends the symbol and records coin ids', () => {
+    const cfg = config();
+    assert.equal(addWatchlistTicker(cfg, 'bist', { symbol: 'ASELS.IS', cryptoId: null }), 'BIST');
+    addWatchlistTicker(cfg, 'Main', { symbol: 'SOL', cryptoId: 'solana' });
+    assert.deepEqual(cfg.watchlists, { Main: ['AAPL', 'BTC', 'SOL'], BIST: ['THYAO.IS', 'ASELS.IS'] });
+    assert.deepEqual(cfg.cryptoIds, { BTC: 'bitcoin', SOL: 'solana' });
+  });
+
+  it('lets a coin join another list under the same id', () => {
+    const cfg = config();
+    addWatchlistTicker(cfg, 'BIST', { symbol: 'BTC', cryptoId: 'bitcoin' });
+    assert.deepEqual(cfg.watchlists.BIST, ['THYAO.IS', 'BTC']);
+  });
+
+  it('refuses duplicates and clashing mappings', () => {
+    const cfg = config();
+    assert.throws(() => addWatchlistTicker(cfg, 'Main', { symbol: 'AAPL' }), /already in the Main watchlist/);
+    assert.throws(() => addWatchlistTicker(cfg, 'BIST', { symbol: 'BTC', cryptoId: 'batcat' }), /stands for the coin bitcoin/);
+    assert.throws(() => addWatchlistTicker(cfg, 'BIST', { symbol: 'BTC', cryptoId: null }), /stands for the coin bitcoin/);
+    assert.throws(() => addWatchlistTicker(cfg, 'BIST', { symbol: 'AAPL', cryptoId: 'aapl-token' }), /listed as a stock/);
+    assert.throws(() => addWatchlistTicker(cfg, 'Nope', { symbol: 'MSFT' }), /Unknown watchlist/);
+    assert.deepEqual(cfg, config());
+  });
+});
+
+describe('saveConfig', () => {
+  it('saves to the user config dir, creating it, never next to the package', () => {
+    assert.notEqual(path.dirname(USER_CONFIG_PATH), path.dirname(CONFIG_PATH));
+    const dir = mkdtempSync(path.join(os.tmpdir(), 'stonks-config-'));
+    try {
+      const file = path.join(dir, 'stonks-dashboard', 'config.json');
+      saveConfig(file, { tickers: ['AAPL'] });
+      assert.deepEqual(loadConfig(file), { tickers: ['AAPL'] });
+      assert.deepEqual(readdirSync(path.dirname(file)), ['config.json']);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,282 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { DataService } from '../src/dataService.js';
+import { ProviderRegistry } from '../src/providers/index.js';
+import { createTestService, CRYPTO_IDS, replayRegistry } from './helpers.js';
+
+// Friday 2025-10-17 11:00 New York, just after the last fixture bar; the
+// clock keeps running from there so rate limiters still refill
+const FRIDAY_OPEN = Date.parse('2025-10-17T15:00:00Z');
+const SATURDAY = Date.parse('2025-10-18T15:00:00Z');
+
+function setClock(at) {
+  const start = performance.now();
+  mock.method(Date, 'now', () => at + Math.round(performance.now() - start));
+}
+
+describe('DataService', () => {
+  const services = [];
+  const service = (scenario, options) => {
+    const created = createTestService(scenario, options);
+    services.push(created);
+    return created;
+  };
+
+  beforeEach(() => setClock(FRIDAY_OPEN));
+  afterEach(() => mock.restoreAll());
+  after(() => services.forEach(s => s.cleanup()));
+
+  it('flushes pending cache writes through one shared exit hook', () => {
+    const first = service('normal');
+    first.scheduleSave();
+    const listeners = process.listenerCount('exit');
+    for (let i = 0; i < 12; i++) service('normal').scheduleSave();
+    assert.equal(process.listenerCount('exit'), listeners);
+  });
+
+  describe('normal responses', () => {
+    it('merges chart and batch quote and computes the period change', async () => {
+      const [aapl, btc] = await service('normal').fetchAllAssets(['AAPL', 'BTC'], CRYPTO_IDS, 7);
+
+      assert.equal(aapl.error, false);
+      assert.equal(aapl.price, 252.29);
+      assert.equal(aapl.previousClose, 245.27);
+      assert.ok(Math.abs(aapl.change - ((252.29 - 245.27) / 245.27) * 100) < 1e-9);
+      assert.equal(aapl.change24h, 1.9557);
+      assert.equal(aapl.pe, 38.339);
+      assert.deepEqual(aapl.history, [247.66, 247.77, 247.45, 252.29]);
+      assert.equal(aapl.timestamps.length, aapl.history.length);
+      assert.equal(aapl.exchange, 'NasdaqGS');
+
+      assert.equal(btc.price, 107245);
+      assert.equal(btc.rank, 1);
+      assert.equal(btc.previousClose, 114980.8); // First point of the period
+      assert.ok(btc.change < 0);
+    });
+
+    it('serves a second request from the cache and the series store', async () => {
+      const dataService = service('normal');
+      await dataService.fetchAllAssets(['AAPL'], {}, 7);
+      const [aapl] = await dataService.fetchAllAssets(['AAPL'], {}, 7);
+      assert.equal(aapl.fromCache, true);
+      assert.deepEqual(aapl.history, [247.66, 247.77, 247.45, 252.29]);
+    });
+
+    it('reports the results in ticker order through onAsset as they arrive', async () => {
+      const seen = [];
+      const assets = await service('normal').fetchAllAssets(['BTC', 'AAPL'], CRYPTO_IDS, 7, (asset, index) => {
+        seen.push([asset.symbol, index]);
+      });
+      assert.deepEqual(assets.map(a => a.symbol), ['BTC', 'AAPL']);
+      assert.deepEqual(seen.sort(), [['AAPL', 1], ['BTC', 0]]);
+    });
+  });
+
+  describe('partial responses', () => {
+    it('keeps chart data when quotes and details fail', async () => {
+      const [aapl, btc] = await service('partial').fetchAllAssets(['AAPL', 'BTC'], CRYPTO_IDS, 7);
+
+      assert.equal(aapl.error, false);
+      assert.equal(aapl.price, 252.29);
+      assert.equal(aapl.pe, 0);
+      assert.equal(aapl.change24h, aapl.change); // No 24h figure without the quote
+
+      assert.equal(btc.error, false);
+      assert.equal(btc.price, 107245); // Last point of the chart
+      assert.equal(btc.marketCap, 0);
+    });
+  });
+
+  describe('rate limited (429)', () => {
+    it('returns the fallback object when nothing is cached', async () => {
+      const [aapl, btc] = await service('ratelimited').fetchAllAssets(['AAPL', 'BTC'], CRYPTO_IDS, 7);
+      for (const asset of [aapl, btc]) {
+        assert.equal(asset.error, true);
+        assert.equal(asset.price, 0);
+        assert.deepEqual(asset.history, [0]);
+      }
+      assert.equal(btc.type, 'crypto');
+    });
+
+    it('falls back to the cached snapshot and stored series', async () => {
+      const warm = service('normal');
+      await warm.fetchAllAssets(['AAPL'], {}, 7);
+      warm.saveFileCache();
+
+      const limited = new DataService({
+        registry: replayRegistry('ratelimited'),
+        cache: { dir: warm.cacheDir, ttl: { default: 0 } }
+      });
+      const [aapl] = await limited.fetchAllAssets(['AAPL'], {}, 7);
+      assert.equal(aapl.error, true);
+      assert.equal(aapl.fromCache, true);
+      assert.equal(aapl.price, 252.29);
+      assert.deepEqual(aapl.history, [247.66, 247.77, 247.45, 252.29]);
+    });
+  });
+
+  describe('empty series', () => {
+    it('keeps a single zero point and a finite change', async () => {
+      const [aapl, btc] = await service('empty').fetchAllAssets(['AAPL', 'BTC'], CRYPTO_IDS, 7);
+
+      assert.deepEqual(aapl.history, [0]);
+      assert.deepEqual(aapl.timestamps, []);
+      assert.equal(aapl.price, 252.29); // From the chart meta
+      assert.ok(Number.isFinite(aapl.change));
+
+      assert.deepEqual(btc.history, [0]);
+      assert.equal(btc.price, 0);
+      assert.equal(btc.change, 0);
+      assert.equal(btc.error, false);
+    });
+  });
+
+  describe('batch quotes', () => {
+    // Daily bars at 13:30 UTC up to the clock; history requests are counted
+    const dailySource = () => ({
+      name: 'daily',
+      assetType: 'stock',
+      requests: 0,
+      intervalFor: () => '1d',
+      fetchQuote: async () => ({}),
+      fetchDetails: async () => ({}),
+      async fetchHistory(id, days) {
+        this.requests++;
+        const timestamps = [];
+        for (let t = Date.parse('2025-10-13T13:30:00Z'); t <= Date.now(); t += 24 * 60 * 60 * 1000) timestamps.push(t);
+        return { timestamps: timestamps.slice(-days), prices: timestamps.slice(-days).map(() => 100), quote: { previousClose: 100 } };
+      }
+    });
+
+    it('moves the open bar with the quote and fetches history once the next bar has begun', async () => {
+      const source = dailySource();
+      const dataService = service('normal', { registry: new ProviderRegistry([source]) });
+      const fetch = (price) => dataService.fetchAsset('XYZ', source, 'XYZ', 7, { price });
+
+      setClock(Date.parse('2025-10-16T19:00:00Z'));
+      await fetch(100);
+      mock.restoreAll();
+      setClock(Date.parse('2025-10-16T19:30:00Z'));
+      let asset = await fetch(104);
+      assert.equal(source.requests, 1);
+      assert.equal(asset.history.at(-1), 104);
+      assert.equal(asset.timestamps.at(-1), Date.parse('2025-10-16T13:30:00Z'));
+
+      // Less than a day since the download, but Friday's session has opened
+      mock.restoreAll();
+      setClock(Date.parse('2025-10-17T13:45:00Z'));
+      asset = await fetch(101);
+      assert.equal(source.requests, 2);
+      assert.equal(asset.timestamps.at(-1), Date.parse('2025-10-17T13:30:00Z'));
+      assert.equal(asset.history.length, 5);
+    });
+  });
+
+  describe('offline and closed markets', () => {
+    it('never touches the network offline', async () => {
+      const [aapl] = await service('normal', { offline: true }).fetchAllAssets(['AAPL'], {}, 7);
+      assert.equal(aapl.error, true);
+      assert.equal(aapl.price, 0);
+    });
+
+    it('does not refresh a market that stayed closed since the last quote', async () => {
+      setClock(SATURDAY - 60 * 60 * 1000);
+      const warm = service('normal');
+      await warm.fetchAllAssets(['AAPL'], {}, 7);
+      warm.saveFileCache();
+
+      mock.restoreAll();
+      setClock(SATURDAY);
+      const limited = new DataService({
+        registry: replayRegistry('ratelimited'),
+        cache: { dir: warm.cacheDir, ttl: { default: 0 } }
+      });
+      const [aapl] = await limited.fetchAllAssets(['AAPL'], {}, 7);
+      assert.equal(aapl.error, false); // Served without a request
+      assert.equal(aapl.fromCache, true);
+      assert.equal(aapl.price, 252.29);
+    });
+  });
+
+  describe('search', () => {
+    it('lists stock matches before coins, with the CoinGecko id of each coin', async () => {
+      const { results, errors } = await service('normal').searchAssets('THYAO');
+      assert.deepEqual(errors, []);
+      assert.deepEqual(results.map(r => [r.symbol, r.provider, r.cryptoId]), [
+        ['THYAO.IS', 'yahoo', null],
+        ['TKY.F', 'yahoo', null]
+      ]);
+    });
+
+    it('keeps the results of the sources that answered', async () => {
+      const { results, errors } = await service('normal').searchAssets('bitcoin');
+      assert.equal(results[0].symbol, 'BTC');
+      assert.equal(results[0].cryptoId, 'bitcoin');
+      assert.equal(errors.length, 1);
+      assert.match(errors[0], /^yahoo: No fixture/);
+    });
+
+    it('refuses to search offline', async () => {
+      await assert.rejects(service('normal', { offline: true }).searchAssets('THYAO'), /offline/);
+    });
+  });
+
+  describe('news', () => {
+    it('caches news for ttl.news and serves it offline', async () => {
+      const live = service('normal');
+      const first = await live.fetchNews('AAPL');
+      assert.equal(first.fromCache, false);
+      assert.equal(first.items.length, 2);
+      assert.equal(first.events[0].label, 'Earnings');
+
+      const again = await live.fetchNews('AAPL');
+      assert.equal(again.fromCache, true);
+      assert.equal(again.timestamp, first.timestamp);
+
+      live.saveFileCache();
+      const offline = new DataService({ registry: replayRegistry('normal'), cache: { dir: live.cacheDir, ttl: { news: 0 } }, offline: true });
+      const cached = await offline.fetchNews('AAPL');
+      assert.equal(cached.fromCache, true);
+      assert.deepEqual(cached.items, first.items);
+    });
+
+    it('refetches once ttl.news has passed and keeps stale news when that fails', async () => {
+      const stale = service('normal', { cache: { ttl: { news: 1000 } } });
+      await stale.fetchNews('BTC', CRYPTO_IDS);
+      setClock(FRIDAY_OPEN + 2000);
+      const refreshed = await stale.fetchNews('BTC', CRYPTO_IDS);
+      assert.equal(refreshed.fromCache, false);
+
+      setClock(FRIDAY_OPEN + 4000);
+      stale.registry = replayRegistry('ratelimited');
+      const kept = await stale.fetchNews('BTC', CRYPTO_IDS);
+      assert.equal(kept.fromCache, true);
+      assert.equal(kept.items[0].title, 'Bitcoin Core 30.0 released');
+      assert.match(kept.error, /No fixture/);
+    });
+
+    it('reports the error when there is nothing cached to fall back on', async () => {
+      const news = await service('normal').fetchNews('TSLA');
+      assert.deepEqual(news.items, []);
+      assert.match(news.error, /No fixture/);
+    });
+  });
+
+  describe('fundamentals', () => {
+    it('caches fundamentals for ttl.fundamentals', async () => {
+      const live = service('normal');
+      const first = await live.fetchFundamentals('VYMI');
+      assert.equal(first.fromCache, false);
+      assert.equal(first.kind, 'fund');
+
+      setClock(FRIDAY_OPEN + 60 * 60 * 1000);
+      const again = await live.fetchFundamentals('VYMI');
+      assert.equal(again.fromCache, true);
+      assert.equal(again.timestamp, first.timestamp);
+    });
+
+    it('has none for sources without fetchFundamentals', async () => {
+      assert.equal(await service('normal').fetchFundamentals('BTC', CRYPTO_IDS), null);
+    });
+  });
+});
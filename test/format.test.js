@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  formatChange, formatNumber, formatPercent, formatPrice, formatRelativeTime, formatSignedPrice, getAssetCategory
+} from '../src/format.js';
+
+describe('formatPrice', () => {
+  it('uses the currency symbol and two decimals', () => {
+    assert.equal(formatPrice(252.29, 'USD'), '$252.29');
+    assert.equal(formatPrice(245.5, 'TRY'), '₺245.50');
+  });
+
+  it('groups thousands and keeps four decimals below 1', () => {
+    assert.equal(formatPrice(107245, 'USD'), '$107,245.00');
+    assert.equal(formatPrice(0.12345, 'USD'), '$0.1235');
+  });
+
+  it('falls back to $ and zero', () => {
+    assert.equal(formatPrice(10, 'XYZ'), '$10.00');
+    assert.equal(formatPrice(NaN), '$0.00');
+    assert.equal(formatPrice(undefined), '$0.00');
+  });
+
+  it('signs amounts', () => {
+    assert.equal(formatSignedPrice(-12.5), '-$12.50');
+    assert.equal(formatSignedPrice(1049), '+$1,049.00');
+  });
+});
+
+describe('formatNumber', () => {
+  it('abbreviates large numbers', () => {
+    assert.equal(formatNumber(3744127631360), '3.74T');
+    assert.equal(formatNumber(2.5e9), '2.50B');
+    assert.equal(formatNumber(48876500), '48.88M');
+    assert.equal(formatNumber(1500), '1.50K');
+    assert.equal(formatNumber(999), '999');
+  });
+
+  it('shows N/A when there is no value', () => {
+    assert.equal(formatNumber(0), 'N/A');
+    assert.equal(formatNumber(undefined), 'N/A');
+    assert.equal(formatNumber(NaN), 'N/A');
+  });
+});
+
+describe('formatChange', () => {
+  it('always carries a sign', () => {
+    assert.equal(formatChange(1.9557), '+1.96%');
+    assert.equal(formatChange(-2.631), '-2.63%');
+    assert.equal(formatChange(0), '+0.00%');
+    assert.equal(formatChange(NaN), '+0.00%');
+  });
+});
+
+describe('formatPercent', () => {
+  it('turns fractions into percentages', () => {
+    assert.equal(formatPercent(0.0041), '0.41%');
+    assert.equal(formatPercent(0.46678, 1), '46.7%');
+    assert.equal(formatPercent(null), 'N/A');
+  });
+});
+
+describe('formatRelativeTime', () => {
+  it('counts minutes, hours or days back or ahead', () => {
+    const now = Date.parse('2025-10-17T15:00:00Z');
+    assert.equal(formatRelativeTime(now - 30 * 1000, now), 'just now');
+    assert.equal(formatRelativeTime(now - 14 * 60 * 1000, now), '14m ago');
+    assert.equal(formatRelativeTime(now - 3 * 60 * 60 * 1000, now), '3h ago');
+    assert.equal(formatRelativeTime(Date.parse('2025-10-30T20:30:00Z'), now), 'in 13d');
+  });
+});
+
+describe('getAssetCategory', () => {
+  it('groups assets into watchlist sections', () => {
+    assert.equal(getAssetCategory({ symbol: 'BTC', type: 'crypto' }), 'crypto');
+    assert.equal(getAssetCategory({ symbol: 'SPY', type: 'ETF' }), 'etf');
+    assert.equal(getAssetCategory({ symbol: 'GLDTR.IS', type: 'ETF' }), 'tretf');
+    assert.equal(getAssetCategory({ symbol: 'THYAO.IS', type: 'EQUITY' }), 'stock');
+    assert.equal(getAssetCategory({ symbol: 'AAPL', type: 'EQUITY' }), 'stock');
+  });
+});
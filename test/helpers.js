@@ -0,0 +1,31 @@
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DataService } from '../src/dataService.js';
+import { createReplayHttp } from '../src/http.js';
+import { CoinGeckoProvider, ProviderRegistry, YahooProvider } from '../src/providers/index.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// Replays test/fixtures/<scenario>; CoinGecko runs unthrottled and retries at once
+export function replayRegistry(scenario) {
+  const http = createReplayHttp(path.join(FIXTURES, scenario));
+  return new ProviderRegistry([
+    new YahooProvider({ http }),
+    new CoinGeckoProvider({ http, rateLimit: { tokens: 100, interval: 1000 }, retryDelay: 0 })
+  ]);
+}
+
+// DataService over replayed fixtures with its cache in a fresh temp directory
+export function createTestService(scenario, options = {}) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'stonks-test-'));
+  const service = new DataService({ registry: replayRegistry(scenario), ...options, cache: { ...options.cache, dir } });
+  service.cleanup = () => {
+    service.close(); // Nothing left to flush on exit
+    rmSync(dir, { recursive: true, force: true });
+  };
+  return service;
+}
+
+export const CRYPTO_IDS = { BTC: 'bitcoin' };
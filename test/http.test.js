@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, describe, it } from 'node:test';
+import { createRecordingHttp, createReplayHttp, fixtureName } from '../src/http.js';
+
+describe('fixtureName', () => {
+  it('is readable and ignores parameter order and time windows', () => {
+    const url = 'https://query1.finance.yahoo.com/v8/finance/chart/AAPL';
+    assert.equal(fixtureName(url, { range: '7d', interval: '1d' }), 'query1.finance.yahoo.com_v8_finance_chart_AAPL_interval=1d_range=7d.json');
+    assert.equal(
+      fixtureName(url, { interval: '1d', period1: 1, period2: 2 }),
+      fixtureName(url, { period2: 3, interval: '1d', period1: 4 })
+    );
+  });
+
+  it('shortens long names with a hash', () => {
+    const ids = Array.from({ length: 40 }, (_, i) => `coin-${i}`).join(',');
+    const name = fixtureName('https://api.coingecko.com/api/v3/coins/markets', { ids });
+    assert.ok(name.length < 170);
+    assert.notEqual(name, fixtureName('https://api.coingecko.com/api/v3/coins/markets', { ids: `${ids},more` }));
+  });
+});
+
+describe('recording and replay', () => {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'stonks-http-'));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const upstream = {
+    async get(url, options) {
+      if (options.params.symbols === 'FAIL') {
+        const error = new Error('Request failed with status code 429');
+        error.response = { status: 429, data: 'Too Many Requests' };
+        throw error;
+      }
+      return { status: 200, data: { url, params: options.params } };
+    }
+  };
+
+  it('replays what was recorded, errors included', async () => {
+    const recorder = createRecordingHttp(dir, upstream);
+    const url = 'https://query1.finance.yahoo.com/v7/finance/quote';
+    const live = await recorder.get(url, { params: { symbols: 'AAPL' } });
+    await assert.rejects(recorder.get(url, { params: { symbols: 'FAIL' } }));
+    assert.equal(readdirSync(dir).length, 2);
+
+    const replay = createReplayHttp(dir);
+    assert.deepEqual((await replay.get(url, { params: { symbols: 'AAPL' } })).data, live.data);
+    await assert.rejects(replay.get(url, { params: { symbols: 'FAIL' } }), error => error.response.status === 429);
+  });
+
+  it('answers 404 without a fixture', async () => {
+    const replay = createReplayHttp(dir);
+    await assert.rejects(
+      replay.get('https://query1.finance.yahoo.com/v7/finance/quote', { params: { symbols: 'MSFT' } }),
+      error => error.response.status === 404 && /No fixture/.test(error.message)
+    );
+  });
+});
@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+import {
+  computeOverlays, DEFAULT_INDICATOR_SETTINGS, ema, latestIndicatorValues, normalizeIndicatorSettings, rsi, sma
+} from '../src/indicators.js';
+
+const close = (actual, expected) => {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((value, i) => {
+    if (expected[i] === null) assert.equal(value, null, `index ${i}`);
+    else assert.ok(Math.abs(value - expected[i]) < 1e-9, `index ${i}: ${value} != ${expected[i]}`);
+  });
+};
+
+describe('moving averages', () => {
+  it('averages the last `window` values', () => {
+    close(sma([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+  });
+
+  it('seeds the EMA with the SMA and weights recent values by 2/(n+1)', () => {
+    // k = 0.5: 2, then 4*0.5 + 2*0.5 = 3, then 5*0.5 + 3*0.5 = 4
+    close(ema([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+    close(ema([1, 2, 3, 6, 5], 3), [null, null, 2, 4, 4.5]);
+    close(ema([1, 2], 3), [null, null]);
+  });
+});
+
+describe('rsi', () => {
+  it('is 100 without losses and follows Wilder smoothing', () => {
+    close(rsi([1, 2, 3, 4], 2), [null, null, 100, 100]);
+    // Gains 2, losses 1 over the first two steps, then a loss of 1
+    const values = rsi([10, 12, 11, 10], 2);
+    close(values.slice(0, 3), [null, null, 100 - 100 / (1 + 1 / 0.5)]);
+    close(values.slice(3), [100 - 100 / (1 + 0.5 / 0.75)]);
+  });
+});
+
+describe('normalizeIndicatorSettings', () => {
+  afterEach(() => mock.restoreAll());
+  const quietly = (config) => {
+    const errors = mock.method(console, 'error', () => {});
+    return { settings: normalizeIndicatorSettings(config), errors: errors.mock.calls.map(call => call.arguments.join(' ')) };
+  };
+
+  it('fills in the defaults without sharing them', () => {
+    const settings = normalizeIndicatorSettings();
+    assert.deepEqual(settings, DEFAULT_INDICATOR_SETTINGS);
+    settings.sma.push(5);
+    assert.deepEqual(DEFAULT_INDICATOR_SETTINGS.sma, [20]);
+  });
+
+  it('accepts a single window as well as a list', () => {
+    const { settings, errors } = quietly({ sma: 20, ema: [12, 26], rsi: 7, macd: { fast: 5 }, enabled: ['sma', 'vwap'] });
+    assert.deepEqual(settings.sma, [20]);
+    assert.deepEqual(settings.ema, [12, 26]);
+    assert.equal(settings.rsi, 7);
+    assert.deepEqual(settings.macd, { fast: 5, slow: 26, signal: 9 });
+    assert.deepEqual(settings.enabled, ['sma', 'vwap']);
+    assert.deepEqual(errors, []);
+  });
+
+  it('falls back to the default for values of the wrong shape', () => {
+    const { settings, errors } = quietly({
+      sma: '20', ema: [12, -1], rsi: [14], bollinger: 2, macd: { slow: 'x' }, enabled: 'sma'
+    });
+    assert.deepEqual(settings, DEFAULT_INDICATOR_SETTINGS);
+    assert.equal(errors.length, 6);
+    assert.match(errors[0], /^\[Indicators\] Ignoring sma/);
+  });
+
+  it('keeps rendering with a number for sma', () => {
+    const { settings } = quietly({ sma: 3 });
+    const overlays = computeOverlays([1, 2, 3, 4], null, settings, new Set(['sma']));
+    assert.equal(overlays[0].title, 'SMA3');
+    close(overlays[0].values, [null, null, 2, 3]);
+    assert.equal(latestIndicatorValues([1, 2, 3, 4], null, settings, new Set(['sma']))[0].value, 3);
+  });
+});
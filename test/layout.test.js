@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { DEFAULT_LAYOUT, normalizeLayout, resolveLayout, splitRows } from '../src/layout.js';
+
+describe('resolveLayout', () => {
+  it('keeps the default grid on wide terminals', () => {
+    assert.deepEqual(resolveLayout({}, 160), DEFAULT_LAYOUT.panels);
+  });
+
+  it('gives the portfolio area to details without holdings', () => {
+    const layout = resolveLayout({}, 160, ['portfolio']);
+    assert.deepEqual(layout.details, [7, 4, 5, 8]);
+    assert.equal(layout.portfolio, null);
+  });
+
+  it('collapses panels below their widths', () => {
+    assert.deepEqual(resolveLayout({}, 90).details, [7, 4, 5, 8]);
+
+    const narrow = resolveLayout({}, 60);
+    assert.equal(narrow.chart, null);
+    assert.deepEqual(narrow.details, [0, 4, 12, 8]);
+
+    const tiny = resolveLayout({}, 40);
+    assert.deepEqual(tiny, { watchlist: [0, 0, 12, 12], chart: null, details: null, portfolio: null });
+  });
+
+  it('lets several neighbours share an area', () => {
+    const layout = resolveLayout({ panels: { chart: false } }, 160);
+    assert.deepEqual(layout.details, [0, 4, 12, 4]);
+    assert.deepEqual(layout.portfolio, [0, 8, 12, 4]);
+  });
+
+  it('follows custom spans and collapse widths', () => {
+    const layout = resolveLayout({
+      panels: { watchlist: [0, 0, 12, 6], chart: [0, 6, 6, 6], details: [6, 6, 6, 6], portfolio: false },
+      collapse: { chart: 200 }
+    }, 160);
+    assert.deepEqual(layout, { watchlist: [0, 0, 12, 6], chart: null, details: [0, 6, 12, 6], portfolio: null });
+  });
+});
+
+describe('normalizeLayout', () => {
+  it('ignores spans outside the grid and hiding the watchlist', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { panels } = normalizeLayout({ panels: { chart: [0, 4, 13, 8], watchlist: false, news: [0, 0, 1, 1] } });
+    assert.deepEqual(panels, DEFAULT_LAYOUT.panels);
+    assert.equal(console.error.mock.callCount(), 3);
+  });
+});
+
+describe('splitRows', () => {
+  it('splits the chart area by share, keeping both parts', () => {
+    assert.deepEqual(splitRows([0, 4, 7, 8], 4 / 7), [[0, 4, 4, 8], [4, 4, 3, 8]]);
+    assert.deepEqual(splitRows([0, 4, 2, 8], 0.9), [[0, 4, 1, 8], [1, 4, 1, 8]]);
+  });
+});
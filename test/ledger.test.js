@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, describe, it } from 'node:test';
+import { parseCsv, parseTransactions, resolveMapping } from '../src/csvImport.js';
+import { deriveHoldings, Ledger } from '../src/ledger.js';
+
+describe('parseCsv', () => {
+  it('reads quoted commas, doubled quotes and line breaks', () => {
+    const text = '﻿Name,Note\r\n"Doe, Jane","said ""hi""\nthen left"\r\n\r\nplain,\n';
+    assert.deepEqual(parseCsv(text), [
+      ['Name', 'Note'],
+      ['Doe, Jane', 'said "hi"\nthen left'],
+      ['plain', '']
+    ]);
+  });
+});
+
+describe('parseTransactions', () => {
+  it('maps generic columns, skips other types and reports bad rows', () => {
+    const text = [
+      'Account export',
+      'Date,Symbol,Type,Quantity,Price,Fees,Amount,Currency',
+      '2025-01-10,aapl,Buy,10,"$1,000.00",5,,usd',
+      '2025-02-01,AAPL,Dividend,,,,2.40,USD',
+      '2025-02-03,,Transfer,,,,100,USD',
+      '2025/13/01,AAPL,Sell,1,200,,,USD',
+      '2025-03-01,AAPL,Sell,,200,,,USD'
+    ].join('\n');
+    const { transactions, skipped, errors } = parseTransactions(text, resolveMapping());
+    assert.deepEqual(transactions, [
+      { date: '2025-01-10', symbol: 'AAPL', type: 'buy', quantity: 10, price: 1000, fees: 5, amount: 10000, currency: 'USD' },
+      { date: '2025-02-01', symbol: 'AAPL', type: 'dividend', quantity: 0, price: 0, fees: 0, amount: 2.4, currency: 'USD' }
+    ]);
+    assert.equal(skipped, 1);
+    assert.deepEqual(errors, [
+      'row 6: cannot read date "2025/13/01" as YMD',
+      'row 7: sell of AAPL needs a quantity and a price'
+    ]);
+  });
+
+  it('reads Schwab exports with month-first dates and negative amounts', () => {
+    const text = [
+      '"Date","Action","Symbol","Description","Quantity","Price","Fees & Comm","Amount"',
+      '"03/14/2025","Sell","VYMI","VANGUARD INTL HIGH DIV","5","$70.10","$0.02","$350.48"',
+      '"03/28/2025","Qualified Dividend","VYMI","VANGUARD INTL HIGH DIV","","","","($1.25)"'
+    ].join('\n');
+    const { transactions } = parseTransactions(text, resolveMapping({}, 'schwab'));
+    assert.deepEqual(transactions.map(t => [t.date, t.type, t.quantity, t.price, t.fees, t.amount, t.currency]), [
+      ['2025-03-14', 'sell', 5, 70.1, 0.02, 350.5, 'USD'],
+      ['2025-03-28', 'dividend', 0, 0, 0, 1.25, 'USD']
+    ]);
+  });
+
+  it('rejects unknown presets', () => {
+    assert.throws(() => resolveMapping({}, 'nobroker'), /Unknown preset "nobroker"/);
+  });
+});
+
+describe('deriveHoldings', () => {
+  const buy = (date, quantity, price, fees = 0) => ({ date, symbol: 'AAPL', type: 'buy', quantity, price, fees, amount: quantity * price, currency: 'USD' });
+  const sell = (date, quantity, price, fees = 0) => ({ ...buy(date, quantity, price, fees), type: 'sell' });
+
+  it('sells the oldest lots first and splits a lot on partial sells', () => {
+    const { holdings, realized, warnings } = deriveHoldings([
+      sell('2025-03-01', 15, 200, 3),
+      buy('2025-01-01', 10, 100, 10),
+      buy('2025-02-01', 10, 150),
+      { date: '2025-02-15', symbol: 'AAPL', type: 'dividend', quantity: 0, price: 0, fees: 0, amount: 4.8, currency: 'USD' }
+    ]);
+    // 10 at 101 (fees in the lot price) and 5 at 150 sold for 3000 less 3 fees
+    assert.deepEqual(holdings.AAPL.lots, [{ quantity: 5, price: 150, date: '2025-02-01' }]);
+    assert.equal(realized.AAPL.realized, 3000 - 3 - (10 * 101 + 5 * 150));
+    assert.equal(realized.AAPL.dividends, 4.8);
+    assert.deepEqual(warnings, []);
+  });
+
+  it('ignores the part of a sell beyond what is held, with a warning', () => {
+    const { holdings, realized, warnings } = deriveHoldings([buy('2025-01-01', 2, 100), sell('2025-01-02', 3, 120)]);
+    assert.equal(holdings.AAPL, undefined);
+    assert.equal(realized.AAPL.realized, 40);
+    assert.match(warnings[0], /exceeds the 2 held/);
+  });
+});
+
+describe('Ledger', () => {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'stonks-ledger-'));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+  const row = { date: '2025-01-10', symbol: 'AAPL', type: 'buy', quantity: 10, price: 100, fees: 0, amount: 1000, currency: 'USD' };
+
+  it('skips rows already imported but keeps identical rows of one import', () => {
+    const file = path.join(dir, 'ledger.json');
+    const ledger = new Ledger(file);
+    assert.deepEqual(ledger.add([row, { ...row }]), { added: 2, duplicates: 0 });
+    ledger.save();
+
+    const reloaded = new Ledger(file);
+    const other = { ...row, date: '2025-01-11' };
+    assert.deepEqual(reloaded.add([row, row, row, other]), { added: 2, duplicates: 2 });
+    assert.equal(reloaded.transactions.length, 4);
+  });
+});
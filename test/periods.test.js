@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+import { DEFAULT_PERIODS, findPeriod, MAX_DAYS, parsePeriods } from '../src/periods.js';
+
+describe('parsePeriods', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('builds day counts, YTD and MAX entries with their intervals', () => {
+    const periods = parsePeriods([
+      { label: '1D', days: 1, interval: '5m' },
+      { label: '1W', days: '7', interval: '15m' },
+      { label: 'YTD', range: 'ytd' },
+      { label: 'MAX', range: 'MAX' }
+    ]);
+    assert.deepEqual(periods.map(p => p.label), ['1D', '1W', 'YTD', 'MAX']);
+    assert.deepEqual(periods[1], { label: '1W', interval: '15m', days: 7 });
+    assert.equal(periods[3].days, MAX_DAYS);
+  });
+
+  it('counts YTD days from the local new year, whenever it is read', () => {
+    const [ytd] = parsePeriods([{ label: 'YTD', range: 'ytd' }]);
+    mock.method(Date, 'now', () => new Date(2025, 2, 1, 12).getTime());
+    assert.equal(ytd.days, 60);
+    mock.method(Date, 'now', () => new Date(2026, 0, 1, 0, 30).getTime());
+    assert.equal(ytd.days, 1);
+  });
+
+  it('drops bad entries and falls back to the defaults when none is left', () => {
+    const errors = mock.method(console, 'error', () => {});
+    assert.deepEqual(parsePeriods([{ label: '1Y', days: 365 }, { days: 5 }, { label: 'X', days: -1 }]), [{ label: '1Y', days: 365 }]);
+    assert.equal(parsePeriods([{ label: 'X', range: 'forever' }]), DEFAULT_PERIODS);
+    assert.equal(parsePeriods(undefined), DEFAULT_PERIODS);
+    assert.equal(errors.mock.callCount(), 3);
+  });
+
+  it('offers intraday, YTD, 1Y, 5Y and MAX out of the box', () => {
+    assert.deepEqual(DEFAULT_PERIODS.map(p => p.label), ['1D', '5D', '7D', '30D', '90D', 'YTD', '1Y', '5Y', 'MAX']);
+    assert.equal(findPeriod('5d').interval, '15m');
+    assert.equal(findPeriod('max').days, MAX_DAYS);
+  });
+});
+
+describe('findPeriod', () => {
+  it('matches labels, then day counts', () => {
+    assert.equal(findPeriod('ytd').label, 'YTD');
+    assert.equal(findPeriod('30').label, '30D');
+    assert.deepEqual(findPeriod('14D'), { label: '14D', days: 14 });
+    assert.equal(findPeriod('soon'), null);
+  });
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { computePortfolio, normalizeHoldings } from '../src/portfolio.js';
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+describe('normalizeHoldings', () => {
+  it('derives quantity and average cost from lots and skips empty holdings', () => {
+    const positions = normalizeHoldings({
+      AAPL: { quantity: 10, avgCost: 100 },
+      BTC: { lots: [{ quantity: 1, price: 100 }, { quantity: 3, price: 200 }, { quantity: 0, price: 1 }] },
+      SOLD: { quantity: 0, avgCost: 50 },
+      EMPTY: null
+    });
+    assert.deepEqual([...positions.keys()], ['AAPL', 'BTC']);
+    assert.equal(positions.get('AAPL').avgCost, 100);
+    assert.equal(positions.get('BTC').quantity, 4);
+    assert.equal(positions.get('BTC').avgCost, 175);
+    assert.equal(positions.get('BTC').lots.length, 2);
+  });
+});
+
+describe('computePortfolio', () => {
+  const holdings = { AAPL: { quantity: 10, avgCost: 100 }, 'THYAO.IS': { quantity: 2, avgCost: 250 } };
+  const assets = [
+    { symbol: 'AAPL', price: 120, currency: 'USD', change24h: 20 },
+    { symbol: 'THYAO.IS', price: 300, currency: 'TRY', change24h: 0 },
+    { symbol: 'MSFT', price: 500, currency: 'USD' }
+  ];
+
+  it('values positions and keeps currencies apart', () => {
+    const { positions, totals } = computePortfolio(holdings, assets);
+    assert.deepEqual(positions.map(p => p.symbol), ['AAPL', 'THYAO.IS']);
+
+    const [aapl] = positions;
+    assert.equal(aapl.marketValue, 1200);
+    assert.equal(aapl.pnl, 200);
+    assert.equal(aapl.pnlPct, 20);
+    near(aapl.dayPnl, 200); // 1200 now, 1000 before a 20% day
+    assert.equal(aapl.weight, 100);
+
+    assert.deepEqual(Object.keys(totals), ['USD', 'TRY']);
+    assert.equal(totals.TRY.marketValue, 600);
+    near(totals.TRY.pnlPct, 20);
+  });
+
+  it('converts into the base currency when a rate is known', () => {
+    const { positions, totals } = computePortfolio(holdings, assets, { base: 'USD', rates: { TRY: 0.025 } });
+    assert.deepEqual(Object.keys(totals), ['USD']);
+    assert.equal(positions[1].currency, 'USD');
+    assert.equal(positions[1].marketValue, 15);
+    assert.equal(totals.USD.marketValue, 1215);
+    assert.equal(totals.USD.costBasis, 1012.5);
+    near(positions[0].weight, (1200 / 1215) * 100);
+  });
+
+  it('adds realized P&L and dividends, closed positions included', () => {
+    const realized = { MSFT: { realized: 50, dividends: 5, currency: 'USD' }, 'THYAO.IS': { realized: 0, dividends: 40 } };
+    const { totals } = computePortfolio(holdings, assets, { base: 'USD', rates: { TRY: 0.025 } }, realized);
+    assert.equal(totals.USD.realized, 50);
+    assert.equal(totals.USD.dividends, 6);
+  });
+});
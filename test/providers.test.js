@@ -0,0 +1,184 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { CoinGeckoProvider, ProviderRegistry, YahooProvider } from '../src/providers/index.js';
+import { replayRegistry } from './helpers.js';
+
+describe('YahooProvider', () => {
+  it('drops null bars and keeps OHLCV aligned with the closes', async () => {
+    const yahoo = replayRegistry('normal').get('yahoo');
+    const series = await yahoo.fetchHistory('AAPL', 7);
+
+    assert.deepEqual(series.prices, [247.66, 247.77, 247.45, 252.29]);
+    assert.equal(series.timestamps.length, 4);
+    assert.equal(series.timestamps[2], (1760362200 + 3 * 86400) * 1000);
+    assert.deepEqual(series.ohlc.open, [249.38, 246.6, 248.25, 248.02]);
+    assert.deepEqual(series.volumes, [38142900, 35478000, 39777000, 48876500]);
+  });
+
+  it('reads the quote snapshot and trading periods from the chart meta', async () => {
+    const { quote } = await replayRegistry('normal').get('yahoo').fetchHistory('AAPL', 7);
+    assert.equal(quote.price, 252.29);
+    assert.equal(quote.previousClose, 245.27);
+    assert.equal(quote.timezone, 'America/New_York');
+    assert.equal(quote.tradingPeriods.regular.end - quote.tradingPeriods.regular.start, 6.5 * 60 * 60 * 1000);
+  });
+
+  it('maps batch quotes by symbol', async () => {
+    const quotes = await replayRegistry('normal').get('yahoo').fetchQuotes(['AAPL']);
+    const aapl = quotes.get('AAPL');
+    assert.equal(aapl.price, 252.29);
+    assert.equal(aapl.pe, 38.339);
+    assert.equal(aapl.postMarketPrice, 252.8);
+    assert.equal(aapl.previousClose, undefined);
+  });
+
+  it('quotes a single symbol', async () => {
+    const quote = await replayRegistry('normal').get('yahoo').fetchQuote('AAPL');
+    assert.equal(quote.price, 252.29);
+    assert.equal(quote.currency, 'USD');
+    assert.equal(quote.change24h, 1.9557);
+  });
+
+  it('returns empty arrays for a series without bars', async () => {
+    const series = await replayRegistry('empty').get('yahoo').fetchHistory('AAPL', 7);
+    assert.deepEqual(series.prices, []);
+    assert.deepEqual(series.timestamps, []);
+    assert.equal(series.quote.price, 252.29);
+  });
+
+  it('finds listings by name and adds their currency', async () => {
+    const results = await replayRegistry('normal').get('yahoo').search('THYAO');
+    assert.deepEqual(results, [
+      { symbol: 'THYAO.IS', id: 'THYAO.IS', name: 'Türk Hava Yollari Anonim Ortakligi', exchange: 'Istanbul', type: 'Equity', currency: 'TRY' },
+      { symbol: 'TKY.F', id: 'TKY.F', name: 'TURK HAVA YOLLARI', exchange: 'Frankfurt', type: 'Equity', currency: 'EUR' }
+    ]);
+  });
+
+  it('reads headlines from the search feed and dates from the quote', async () => {
+    const { items, events } = await replayRegistry('normal').get('yahoo').fetchNews('AAPL');
+    assert.equal(items.length, 2); // The untitled video is dropped
+    assert.deepEqual(items[0], {
+      title: 'Apple shares edge higher ahead of quarterly results',
+      publisher: 'Reuters',
+      url: 'https://finance.yahoo.com/news/apple-shares-edge-higher-ahead-quarterly-results-141503211.html',
+      time: Date.parse('2025-10-17T14:15:03Z')
+    });
+    assert.deepEqual(events, [
+      { label: 'Earnings', time: Date.parse('2025-10-30T20:30:00Z') },
+      { label: 'Ex-dividend', time: Date.parse('2025-11-10T00:00:00Z') },
+      { label: 'Dividend', time: Date.parse('2025-11-13T00:00:00Z') }
+    ]);
+  });
+
+  it('reads company figures from quoteSummary', async () => {
+    const aapl = await replayRegistry('normal').get('yahoo').fetchFundamentals('AAPL');
+    assert.equal(aapl.kind, 'stock');
+    assert.equal(aapl.sector, 'Technology');
+    assert.equal(aapl.eps, 6.58);
+    assert.equal(aapl.dividendYield, 0.0041);
+    assert.equal(aapl.exDividendDate, Date.parse('2025-08-11T00:00:00Z'));
+    assert.equal(aapl.beta, 1.094);
+    assert.equal(aapl.operatingMargin, 0.29991);
+    assert.deepEqual([aapl.targetLow, aapl.targetMean, aapl.targetHigh], [180, 251.8, 310]);
+    assert.equal(aapl.recommendation, 'buy');
+    assert.equal(aapl.analysts, 40);
+  });
+
+  it('reads expense ratio, assets and top holdings for ETFs', async () => {
+    const vymi = await replayRegistry('normal').get('yahoo').fetchFundamentals('VYMI');
+    assert.equal(vymi.kind, 'fund');
+    assert.equal(vymi.expenseRatio, 0.0007);
+    assert.equal(vymi.totalAssets, 12381370368);
+    assert.equal(vymi.beta, 0.79);
+    assert.equal(vymi.holdings.length, 5);
+    assert.deepEqual(vymi.holdings[0], { symbol: 'NOVN.SW', name: 'Novartis AG Registered Shares', weight: 0.0146 });
+  });
+
+  it('picks bar sizes by period length', () => {
+    const yahoo = new YahooProvider();
+    assert.equal(yahoo.intervalFor(1), '5m');
+    assert.equal(yahoo.intervalFor(1, '15m'), '15m');
+    assert.equal(yahoo.intervalFor(90, '5m'), '1d'); // Intraday bars only go back 60 days
+    assert.equal(yahoo.intervalFor(1825), '1wk');
+  });
+});
+
+describe('CoinGeckoProvider', () => {
+  it('drops null prices and matches volumes by timestamp', async () => {
+    const series = await replayRegistry('normal').get('coingecko').fetchHistory('bitcoin', 7);
+    assert.equal(series.prices.length, 5);
+    assert.equal(series.timestamps[2], 1760572800000);
+    assert.equal(series.volumes[2], 81220137430);
+  });
+
+  it('retries on 429 and succeeds once the limit clears', async () => {
+    let calls = 0;
+    const http = {
+      async get() {
+        calls++;
+        if (calls < 3) {
+          const error = new Error('Request failed with status code 429');
+          error.response = { status: 429 };
+          throw error;
+        }
+        return { data: { prices: [[1760313600000, 114980.8]], total_volumes: [] } };
+      }
+    };
+    const coingecko = new CoinGeckoProvider({ http, rateLimit: { tokens: 10, interval: 100 }, retryDelay: 0 });
+    const series = await coingecko.fetchHistory('bitcoin', 7);
+    assert.equal(calls, 3);
+    assert.deepEqual(series.prices, [114980.8]);
+  });
+
+  it('gives up after the retries on a lasting 429', async () => {
+    const coingecko = replayRegistry('ratelimited').get('coingecko');
+    await assert.rejects(coingecko.fetchHistory('bitcoin', 7), error => error.response.status === 429);
+  });
+
+  it('searches coins and resolves a ticker to the best ranked one', async () => {
+    const coingecko = replayRegistry('normal').get('coingecko');
+    const results = await coingecko.search('bitcoin');
+    assert.deepEqual(results.map(r => r.id), ['bitcoin', 'wrapped-bitcoin', 'bitcoin-cash', 'harrypotterobamasonic10inu']);
+    assert.deepEqual(results[0], { symbol: 'BTC', id: 'bitcoin', name: 'Bitcoin', exchange: 'CoinGecko #1', type: 'Crypto', currency: 'USD' });
+    assert.equal(results[3].exchange, 'CoinGecko');
+
+    assert.deepEqual(await coingecko.resolveId('bitcoin'), { symbol: 'BTC', id: 'bitcoin' });
+  });
+
+  it('turns status updates into headlines with the first link of each', async () => {
+    const { items, events } = await replayRegistry('normal').get('coingecko').fetchNews('bitcoin');
+    assert.deepEqual(items.map(item => [item.title, item.url]), [
+      ['Bitcoin Core 30.0 released', 'https://bitcoincore.org/en/releases/30.0/'],
+      ['Community call on the mempool policy changes this Thursday', null]
+    ]);
+    assert.equal(items[0].publisher, 'Bitcoin Core');
+    assert.equal(items[0].time, Date.parse('2025-10-10T12:00:00Z'));
+    assert.deepEqual(events, []);
+  });
+
+  it('does not retry a 404', async () => {
+    let calls = 0;
+    const http = {
+      async get() {
+        calls++;
+        const error = new Error('Request failed with status code 404');
+        error.response = { status: 404 };
+        throw error;
+      }
+    };
+    const coingecko = new CoinGeckoProvider({ http, retryDelay: 0 });
+    await assert.rejects(coingecko.fetchDetails('no-such-coin'));
+    assert.equal(calls, 1);
+  });
+});
+
+describe('ProviderRegistry', () => {
+  it('requires the quote, history and details methods of the contract', () => {
+    const provider = {
+      name: 'csv', fetchQuote: async () => ({}), fetchHistory: async () => ({}), fetchDetails: async () => ({})
+    };
+    assert.equal(new ProviderRegistry([provider]).get('csv'), provider);
+    assert.throws(() => new ProviderRegistry([{ ...provider, fetchQuote: undefined }]), /missing fetchQuote\(\)/);
+    assert.throws(() => new ProviderRegistry([{ ...provider, fetchDetails: undefined }]), /missing fetchDetails\(\)/);
+  });
+});
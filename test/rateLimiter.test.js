@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { RateLimiter } from '../src/rateLimiter.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('RateLimiter', () => {
+  it('starts a full bucket at once and waits for the refill after that', async () => {
+    const limiter = new RateLimiter({ tokens: 2, interval: 1000 });
+    const start = Date.now();
+    const started = await Promise.all([1, 2, 3].map(n => limiter.schedule(() => ({ n, at: Date.now() - start }))));
+
+    assert.deepEqual(started.map(s => s.n), [1, 2, 3]);
+    assert.ok(started[1].at < 250, `second request waited ${started[1].at}ms`);
+    // One token refills in interval / tokens = 500ms
+    assert.ok(started[2].at >= 490, `third request started after ${started[2].at}ms`);
+  });
+
+  it('keeps at most `concurrency` tasks in flight, in FIFO order', async () => {
+    const limiter = new RateLimiter({ tokens: 100, interval: 1000, concurrency: 2 });
+    let active = 0;
+    let peak = 0;
+    const order = [];
+    await Promise.all([1, 2, 3, 4, 5].map(n => limiter.schedule(async () => {
+      order.push(n);
+      peak = Math.max(peak, ++active);
+      await sleep(10);
+      active--;
+    })));
+    assert.equal(peak, 2);
+    assert.deepEqual(order, [1, 2, 3, 4, 5]);
+  });
+
+  it('passes a failure to its caller and frees the slot', async () => {
+    const limiter = new RateLimiter({ tokens: 10, interval: 1000, concurrency: 1 });
+    const failed = limiter.schedule(async () => { throw new Error('429'); });
+    const next = limiter.schedule(async () => 'ok');
+    await assert.rejects(failed, /429/);
+    assert.equal(await next, 'ok');
+  });
+});
@@ -0,0 +1,176 @@
+import assert from 'node:assert/strict';
+import http from 'http';
+import net from 'net';
+import { after, before, describe, it } from 'node:test';
+import { ApiServer, decodeFrames, encodeFrame, MAX_FRAME_SIZE } from '../src/server.js';
+import { createTestService } from './helpers.js';
+
+// A client frame: always masked, as browsers send them
+function clientFrame(opcode, payload, mask = Buffer.from([1, 2, 3, 4])) {
+  const header = payload.length < 126
+    ? Buffer.from([0x80 | opcode, 0x80 | payload.length])
+    : Buffer.from([0x80 | opcode, 0x80 | 126, payload.length >> 8, payload.length & 0xff]);
+  return Buffer.concat([header, mask, payload.map((byte, i) => byte ^ mask[i % 4])]);
+}
+
+describe('WebSocket frames', () => {
+  it('encodes short, 16-bit and 64-bit lengths', () => {
+    assert.deepEqual([...encodeFrame(0x1, Buffer.from('hi'))], [0x81, 2, 0x68, 0x69]);
+    const medium = encodeFrame(0x1, Buffer.alloc(300));
+    assert.equal(medium[1], 126);
+    assert.equal(medium.readUInt16BE(2), 300);
+    const large = encodeFrame(0x1, Buffer.alloc(70000));
+    assert.equal(large[1], 127);
+    assert.equal(Number(large.readBigUInt64BE(2)), 70000);
+  });
+
+  it('unmasks client frames and keeps incomplete ones for later', () => {
+    const ping = clientFrame(0x9, Buffer.from('ping'));
+    const text = clientFrame(0x1, Buffer.alloc(200, 0x61));
+    const { frames, rest, tooLarge } = decodeFrames(Buffer.concat([ping, text.subarray(0, 10)]));
+    assert.equal(tooLarge, false);
+    assert.deepEqual(frames, [{ opcode: 0x9, payload: Buffer.from('ping') }]);
+    assert.equal(rest.length, 10);
+
+    const next = decodeFrames(Buffer.concat([rest, text.subarray(10)]));
+    assert.equal(next.frames[0].payload.toString(), 'a'.repeat(200));
+    assert.equal(next.rest.length, 0);
+  });
+
+  it('stops at a frame over the size limit from its header alone', () => {
+    const header = Buffer.alloc(10);
+    header[0] = 0x82;
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(BigInt(MAX_FRAME_SIZE + 1), 2);
+    const { frames, tooLarge } = decodeFrames(header);
+    assert.deepEqual(frames, []);
+    assert.equal(tooLarge, true);
+  });
+});
+
+describe('ApiServer', () => {
+  const dataService = createTestService('normal');
+  const config = { tickers: ['AAPL'], cryptoIds: {}, api: { allowedOrigins: ['http://localhost:3000'] } };
+  const server = new ApiServer({ dataService, config, port: 0 });
+  let base;
+  let port;
+
+  before(async () => {
+    ({ port } = await server.listen());
+    base = `http://127.0.0.1:${port}`;
+  });
+  after(async () => {
+    await server.close();
+    dataService.cleanup();
+  });
+
+  it('serves quotes and history for the watchlist', async () => {
+    const quotes = await (await fetch(`${base}/quotes?period=7D`)).json();
+    assert.equal(quotes.list, 'Main');
+    assert.equal(quotes.assets[0].symbol, 'AAPL');
+    assert.equal(quotes.assets[0].price, 252.29);
+    assert.equal(quotes.assets[0].history, undefined);
+
+    const history = await (await fetch(`${base}/history/aapl?period=7D`)).json();
+    assert.deepEqual(history.prices, [247.66, 247.77, 247.45, 252.29]);
+  });
+
+  it('answers bad requests with their status', async () => {
+    assert.equal((await fetch(`${base}/nope`)).status, 404);
+    assert.equal((await fetch(`${base}/quotes`, { method: 'POST' })).status, 405);
+    assert.equal((await fetch(`${base}/quotes?period=2X`)).status, 400);
+    assert.equal((await fetch(`${base}/history/AAPL%2F..%2Fx`)).status, 400);
+    assert.equal((await fetch(`${base}/history/%E0%A4%A`)).status, 400);
+  });
+
+  it('refuses pages from origins not listed in api.allowedOrigins', async () => {
+    const refused = await fetch(`${base}/quotes?symbols=AAPL`, { headers: { Origin: 'https://evil.example' } });
+    assert.equal(refused.status, 403);
+    assert.equal(refused.headers.get('access-control-allow-origin'), null);
+
+    const allowed = await fetch(`${base}/quotes?period=7D`, { headers: { Origin: 'http://localhost:3000' } });
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'http://localhost:3000');
+  });
+
+  it('refuses Host names other than its own, as after a DNS rebinding', async () => {
+    const request = (host) => new Promise((resolve, reject) => {
+      http.get({ host: '127.0.0.1', port, path: '/quotes?period=7D', headers: { Host: host } }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      }).on('error', reject);
+    });
+    assert.equal(await request('attacker.example:' + port), 403);
+    assert.equal(await request('127.0.0.1:1'), 403);
+    assert.equal(await request('localhost:' + port), 200);
+    assert.equal(await request('LOCALHOST:' + port), 200);
+  });
+
+  it('reports failed requests through onError', async () => {
+    const messages = [];
+    const failing = new ApiServer({
+      dataService: { fetchAllAssets: async () => { throw new Error('boom'); } },
+      config,
+      port: 0,
+      onError: message => messages.push(message)
+    });
+    const { port: failingPort } = await failing.listen();
+    const response = await fetch(`http://127.0.0.1:${failingPort}/quotes?period=7D`);
+    await failing.close();
+    assert.equal(response.status, 500);
+    assert.deepEqual(messages, ['[Server] GET /quotes?period=7D: boom']);
+  });
+
+  // Raw upgrade on a socket; resolves with everything the server sent
+  const upgrade = (headers, afterHandshake = () => {}, host = `127.0.0.1:${port}`) => new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1');
+    let received = Buffer.alloc(0);
+    socket.on('connect', () => socket.write([
+      'GET /stream HTTP/1.1',
+      `Host: ${host}`,
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+      'Sec-WebSocket-Version: 13',
+      ...headers,
+      '',
+      ''
+    ].join('\r\n')));
+    socket.on('data', (chunk) => {
+      const first = received.length === 0;
+      received = Buffer.concat([received, chunk]);
+      if (first && received.toString().startsWith('HTTP/1.1 101')) afterHandshake(socket);
+    });
+    socket.on('end', () => resolve(received));
+    socket.on('error', reject);
+    socket.setTimeout(3000, () => {
+      socket.destroy();
+      reject(new Error('timed out'));
+    });
+  });
+
+  it('refuses stream upgrades from other origins', async () => {
+    const response = await upgrade(['Origin: https://evil.example']);
+    assert.match(response.toString(), /^HTTP\/1\.1 403/);
+  });
+
+  it('refuses stream upgrades for another Host', async () => {
+    const response = await upgrade([], () => {}, 'attacker.example');
+    assert.match(response.toString(), /^HTTP\/1\.1 403/);
+  });
+
+  it('closes the stream with 1009 on an oversized frame', async () => {
+    const response = await upgrade([], (socket) => {
+      const header = Buffer.alloc(14);
+      header[0] = 0x82;
+      header[1] = 0x80 | 127;
+      header.writeBigUInt64BE(BigInt(2 ** 40), 2);
+      socket.write(header);
+    });
+    const text = response.toString('latin1');
+    assert.match(text, /^HTTP\/1\.1 101/);
+    const close = response.subarray(response.length - 4);
+    assert.equal(close[0], 0x88);
+    assert.equal(close.readUInt16BE(2), 1009);
+  });
+});
@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { calendarFor, closedSince, marketSession, nextSessionStart } from '../src/sessions.js';
+
+const at = Date.parse;
+const nyse = { type: 'stock', timezone: 'America/New_York' };
+const bist = { type: 'stock', timezone: 'Europe/Istanbul' };
+
+describe('marketSession', () => {
+  it('tells pre-market, open, after-hours and closed apart in New York', () => {
+    assert.equal(marketSession(nyse, at('2025-10-17T07:59:00Z')), 'closed'); // 03:59 EDT
+    assert.equal(marketSession(nyse, at('2025-10-17T11:00:00Z')), 'pre');
+    assert.equal(marketSession(nyse, at('2025-10-17T13:30:00Z')), 'open');
+    assert.equal(marketSession(nyse, at('2025-10-17T21:00:00Z')), 'post');
+    assert.equal(marketSession(nyse, at('2025-10-18T01:00:00Z')), 'closed');
+    assert.equal(marketSession(nyse, at('2025-10-18T15:00:00Z')), 'closed'); // Saturday
+  });
+
+  it('has no extended hours in Istanbul', () => {
+    assert.equal(marketSession(bist, at('2025-10-17T06:30:00Z')), 'closed'); // 09:30 local
+    assert.equal(marketSession(bist, at('2025-10-17T07:00:00Z')), 'open');
+    assert.equal(marketSession(bist, at('2025-10-17T14:59:00Z')), 'open');
+    assert.equal(marketSession(bist, at('2025-10-17T15:00:00Z')), 'closed');
+  });
+
+  it('follows the trading periods of a half day', () => {
+    // Day after Thanksgiving: regular hours end at 13:00 EST, after-hours at 17:00
+    const halfDay = {
+      ...nyse,
+      tradingPeriods: {
+        pre: { start: at('2025-11-28T09:00:00Z'), end: at('2025-11-28T14:30:00Z') },
+        regular: { start: at('2025-11-28T14:30:00Z'), end: at('2025-11-28T18:00:00Z') },
+        post: { start: at('2025-11-28T18:00:00Z'), end: at('2025-11-28T22:00:00Z') }
+      }
+    };
+    assert.equal(calendarFor(halfDay).close, 13 * 60);
+    assert.equal(marketSession(halfDay, at('2025-11-28T17:59:00Z')), 'open');
+    assert.equal(marketSession(halfDay, at('2025-11-28T18:30:00Z')), 'post');
+  });
+
+  it('knows no holidays: Thanksgiving counts as a trading day', () => {
+    assert.equal(marketSession(nyse, at('2025-11-27T15:00:00Z')), 'open');
+  });
+
+  it('treats crypto and unknown exchanges as always open', () => {
+    assert.equal(marketSession({ type: 'crypto', timezone: 'UTC' }, at('2025-10-18T15:00:00Z')), 'open');
+    assert.equal(marketSession({ type: 'stock', timezone: 'Antarctica/Troll' }, at('2025-10-18T15:00:00Z')), 'open');
+  });
+});
+
+describe('nextSessionStart', () => {
+  it('finds the next pre-market start across the weekend', () => {
+    assert.equal(nextSessionStart(nyse, at('2025-10-18T01:00:00Z')), at('2025-10-20T08:00:00Z'));
+    assert.equal(nextSessionStart(nyse, at('2025-10-17T07:00:00Z')), at('2025-10-17T08:00:00Z'));
+    assert.equal(nextSessionStart(bist, at('2025-10-17T16:00:00Z')), at('2025-10-20T07:00:00Z'));
+  });
+
+  it('lands on local time across a daylight saving change', () => {
+    // Clocks go back on Sunday 2025-11-02: Monday's 04:00 is 09:00 UTC
+    assert.equal(nextSessionStart(nyse, at('2025-11-01T01:00:00Z')), at('2025-11-03T09:00:00Z'));
+  });
+});
+
+describe('closedSince', () => {
+  const fridayNight = at('2025-10-18T01:00:00Z');
+
+  it('holds until the next session starts', () => {
+    assert.equal(closedSince(nyse, fridayNight, at('2025-10-20T07:59:00Z')), true);
+    assert.equal(closedSince(nyse, fridayNight, at('2025-10-20T08:00:00Z')), false);
+  });
+
+  it('is false when the snapshot was taken during a session or without a calendar', () => {
+    assert.equal(closedSince(nyse, at('2025-10-17T21:00:00Z'), at('2025-10-17T21:05:00Z')), false);
+    assert.equal(closedSince({ type: 'crypto' }, fridayNight, fridayNight + 1000), false);
+  });
+});
@@ -0,0 +1,25 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { sparkline } from '../src/sparkline.js';
+
+describe('sparkline', () => {
+  it('maps the range onto the eight block heights', () => {
+    assert.equal(sparkline([1, 2, 3, 4, 5, 6, 7, 8], 8), '▁▂▃▄▅▆▇█');
+  });
+
+  it('averages buckets when there are more points than cells', () => {
+    // Means 1.5, 3.5, 5.5 and 7.5
+    assert.equal(sparkline([1, 2, 3, 4, 5, 6, 7, 8], 4), '▁▃▆█');
+  });
+
+  it('never stretches a short series', () => {
+    assert.equal(sparkline([3, 1, 2], 10), '█▁▅');
+  });
+
+  it('draws a flat series mid-height and skips missing values', () => {
+    assert.equal(sparkline([5, null, 5, NaN, 5], 3), '▄▄▄');
+    assert.equal(sparkline([], 5), '');
+    assert.equal(sparkline([1, 2], 0), '');
+    assert.equal(sparkline(undefined, 5), '');
+  });
+});
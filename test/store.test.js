@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, describe, it } from 'node:test';
+import { barStart, TimeSeriesStore } from '../src/store.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const bar = (t, c) => ({ t, o: c, h: c, l: c, c, v: 0 });
+
+describe('barStart', () => {
+  it('finds the start of the bar in UTC', () => {
+    const t = Date.UTC(2025, 9, 16, 14, 37);
+    assert.equal(barStart(t, '5m'), Date.UTC(2025, 9, 16, 14, 35));
+    assert.equal(barStart(t, '1h'), Date.UTC(2025, 9, 16, 14));
+    assert.equal(barStart(t, '1d'), Date.UTC(2025, 9, 16));
+    assert.equal(barStart(t, '1wk'), Date.UTC(2025, 9, 13)); // a Monday
+    assert.equal(barStart(t, '1mo'), Date.UTC(2025, 9, 1));
+    assert.equal(barStart(t, '3mo'), Date.UTC(2025, 9, 1));
+    assert.equal(barStart(t, 'tick'), null);
+  });
+});
+
+describe('TimeSeriesStore', () => {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'stonks-store-'));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+  const hourOpen = Date.UTC(2025, 9, 16, 11, 3);
+
+  it('keeps one point per bar when the live bar is stamped with the fetch time', () => {
+    const store = new TimeSeriesStore(dir);
+    store.append('cg-BTC-1h', [bar(hourOpen - HOUR, 99), bar(hourOpen, 100), bar(hourOpen + 44 * 60 * 1000, 101)], { interval: '1h' });
+    store.append('cg-BTC-1h', [bar(hourOpen, 100), bar(hourOpen + 49 * 60 * 1000, 98)], { interval: '1h' });
+
+    const bars = store.read('cg-BTC-1h');
+    assert.deepEqual(bars.map(b => b.t), [hourOpen - HOUR, hourOpen]);
+    assert.deepEqual(bars[1], { t: hourOpen, o: 100, h: 100, l: 98, c: 98, v: 0 });
+
+    // Survives a reload from the file
+    assert.deepEqual(new TimeSeriesStore(dir).read('cg-BTC-1h'), bars);
+  });
+
+  it('still adds the next bar and merges only exact times without a bar size', () => {
+    const store = new TimeSeriesStore(dir);
+    store.append('yahoo-AAPL-1d', [bar(Date.UTC(2025, 9, 16, 13, 30), 1)], { interval: '1d' });
+    store.append('yahoo-AAPL-1d', [bar(Date.UTC(2025, 9, 17, 13, 30), 2)], { interval: '1d' });
+    assert.equal(store.read('yahoo-AAPL-1d').length, 2);
+
+    store.append('plain', [bar(DAY, 1)]);
+    store.append('plain', [bar(DAY + 1, 2)]);
+    assert.equal(store.read('plain').length, 2);
+  });
+});
@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { canvasColor, listThemes, loadTheme, tag } from '../src/theme.js';
+
+describe('loadTheme', () => {
+  it('ships the bundled themes', () => {
+    assert.deepEqual(listThemes(), ['colorblind', 'cyberpunk', 'light', 'monochrome']);
+  });
+
+  it('fills roles a theme leaves out from the themes it extends', () => {
+    const theme = loadTheme('colorblind');
+    assert.equal(theme.up, '#56b4e9');
+    assert.equal(theme.down, '#e69f00');
+    assert.equal(theme.border, 'cyan');
+    assert.equal(theme.line('green'), '#56b4e9');
+    assert.equal(theme.line('magenta'), 'magenta');
+  });
+
+  it('takes inline themes from the config', () => {
+    const theme = loadTheme({ extends: 'light', colors: { border: 'magenta' } });
+    assert.equal(theme.border, 'magenta');
+    assert.equal(theme.text, 'black');
+    assert.equal(theme.line('white'), 'black');
+  });
+
+  it('falls back to the default theme', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const theme = loadTheme('missing');
+    assert.equal(theme.border, 'cyan');
+    assert.match(console.error.mock.calls[0].arguments[1], /Unknown theme "missing"/);
+  });
+});
+
+describe('canvasColor', () => {
+  it('keeps canvas names and turns the rest into RGB', () => {
+    assert.equal(canvasColor('green'), 'green');
+    assert.deepEqual(canvasColor('#56b4e9'), [86, 180, 233]);
+    assert.deepEqual(canvasColor('gray'), [128, 128, 128]);
+  });
+});
+
+describe('tag', () => {
+  it('wraps text in blessed color tags', () => {
+    assert.equal(tag('#e69f00', '-1.20%'), '{#e69f00-fg}-1.20%{/#e69f00-fg}');
+  });
+});